@@ -7,19 +7,36 @@ const { protect } = require('./middleware/authMiddleware');
 const authRoutes = require('./routes/auth');
 const publicRoutes = require('./routes/public');
 const slugRoutes = require('./routes/slugs'); // <-- NEW: Import slug routes
+const manageRoutes = require('./routes/manage');
+const calendarRoutes = require('./routes/calendar');
+const waitlistRoutes = require('./routes/waitlist');
+const approvalRoutes = require('./routes/approvals');
 
 // Import existing routes
 const appointmentRoutes = require('./routes/appointments');
 const reminderRoutes = require('./routes/reminders');
 const thankYouRoutes = require('./routes/thankYou');
+const outboxRoutes = require('./routes/outbox');
+const templateRoutes = require('./routes/templates');
+const availabilityExceptionRoutes = require('./routes/availabilityExceptions');
 
 // Import the scheduler initializers
 const { initializeReminderJob } = require('./jobs/reminderScheduler');
 const { initializeThankYouJob } = require('./jobs/thankYouScheduler');
+const { initializeOutboxJob } = require('./jobs/outboxWorker');
+const { initializeWaitlistJob } = require('./jobs/waitlistScheduler');
+const { initializeIdempotencyCleanupJob } = require('./jobs/idempotencyCleanup');
+const { initializeApprovalJob } = require('./jobs/approvalScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (e.g. on Vercel), set TRUST_PROXY to the number of proxies in front
+// of the app so req.ip is the client's address, which limits slot holds per client.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -36,12 +53,27 @@ app.get('/', (req, res) => {
 app.use('/api/public', publicRoutes);
 app.use('/api/auth', authRoutes);
 
+// Client self-service routes, authorized by the manage token from the booking email
+app.use('/api/manage', manageRoutes);
+
+// Waitlist offers, authorized by the claim token from the offer email
+app.use('/api/waitlist', waitlistRoutes);
+
+// Booking request approvals, authorized by the approval token from the admin's email
+app.use('/api/approvals', approvalRoutes);
+
+// iCalendar feed (public, token in URL) and its protected token management
+app.use('/api/calendar', calendarRoutes);
+
 // Protected routes for admin management.
 // All routes defined below will now require a valid token.
 app.use('/api/slugs', protect, slugRoutes); // <-- NEW: Add slug management routes
 app.use('/api/appointments', protect, appointmentRoutes);
 app.use('/api/appointments/:appointmentId/reminders', protect, reminderRoutes);
 app.use('/api/appointments/:appointmentId/thank-you', protect, thankYouRoutes);
+app.use('/api/outbox', protect, outboxRoutes);
+app.use('/api/templates', protect, templateRoutes);
+app.use('/api/availability-exceptions', protect, availabilityExceptionRoutes);
 
 
 
@@ -53,4 +85,8 @@ app.listen(PORT, () => {
   // Initialize the background jobs
   initializeReminderJob();
   initializeThankYouJob();
+  initializeOutboxJob();
+  initializeWaitlistJob();
+  initializeIdempotencyCleanupJob();
+  initializeApprovalJob();
 });
\ No newline at end of file
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { expireApprovalRequests } = require('../services/approvalService');
+
+async function checkApprovalRequests() {
+  try {
+    const declined = await expireApprovalRequests();
+    if (declined > 0) {
+      console.log(`Approval run finished: ${declined} unanswered booking request(s) declined.`);
+    }
+  } catch (error) {
+    console.error('An error occurred during the approval job:', error);
+  }
+}
+
+// Requests wait for hours, so checking every few minutes is precise enough.
+function initializeApprovalJob() {
+  cron.schedule('*/5 * * * *', checkApprovalRequests, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+  console.log('Approval scheduler has been initialized. Will run every 5 minutes.');
+}
+
+module.exports = { initializeApprovalJob };
@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { purgeExpiredIdempotencyKeys } = require('../middleware/idempotency');
+
+async function purgeIdempotencyKeys() {
+  try {
+    const removed = await purgeExpiredIdempotencyKeys();
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired idempotency key(s).`);
+    }
+  } catch (error) {
+    console.error('An error occurred during the idempotency key cleanup job:', error);
+  }
+}
+
+// Expired keys are already ignored when a request comes in; this only keeps the table small.
+function initializeIdempotencyCleanupJob() {
+  cron.schedule('0 * * * *', purgeIdempotencyKeys, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+  console.log('Idempotency key cleanup has been initialized. Will run every hour.');
+}
+
+module.exports = { initializeIdempotencyCleanupJob };
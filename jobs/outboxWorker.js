@@ -0,0 +1,23 @@
+const cron = require('node-cron');
+const { processOutbox } = require('../services/outboxService');
+
+async function deliverOutbox() {
+  try {
+    const { sent, failed } = await processOutbox();
+    if (sent > 0 || failed > 0) {
+      console.log(`Outbox run finished: ${sent} sent, ${failed} failed.`);
+    }
+  } catch (error) {
+    console.error('An error occurred during the outbox delivery job:', error);
+  }
+}
+
+function initializeOutboxJob() {
+  cron.schedule('*/1 * * * *', deliverOutbox, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+  console.log('Outbox worker has been initialized. Will run every minute.');
+}
+
+module.exports = { initializeOutboxJob };
@@ -12,6 +12,9 @@ async function checkAndSendReminders() {
       r.reminder_time,
       r.message,
       a.id as appointment_id,
+      a.admin_id,
+      a.slug_id,
+      a.client_timezone,
       a.client_name,
       a.client_email,
       a.appointment_date,
@@ -19,6 +22,7 @@ async function checkAndSendReminders() {
     FROM reminders r
     JOIN appointments a ON r.appointment_id = a.id
     WHERE r.status = 'pending' AND r.reminder_time <= UTC_TIMESTAMP()
+      AND a.status <> 'pending_approval'
   `;
   // --- END OF MODIFICATION ---
   
@@ -33,6 +37,7 @@ async function checkAndSendReminders() {
     console.log(`Found ${dueReminders.length} due reminders.`);
 
     for (const reminder of dueReminders) {
+      // 'sent' means the email was handed to the outbox, which retries delivery on its own.
       const wasSent = await sendReminderEmail(reminder);
 
       const newStatus = wasSent ? 'sent' : 'failed';
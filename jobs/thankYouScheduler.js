@@ -5,16 +5,28 @@ const { sendThankYouEmail } = require('../services/emailService');
 async function checkAndSendThankYous() {
   console.log('Running thank you message check...');
   
+  // Cancelled appointments have left the appointments table, so the join already drops them.
+  // Bookings still awaiting approval are skipped. A no-show's messages are cancelled when the
+  // status is recorded (see PATCH /api/appointments/:id/status).
+  // Messages from a follow-up sequence step use the step's own subject and body, if it has them.
   const query = `
     SELECT
       ty.id,
       ty.message,
+      f.subject,
+      f.body_html,
+      a.id as appointment_id,
+      a.admin_id,
+      a.slug_id,
+      a.client_timezone,
       a.client_name,
       a.client_email,
       a.appointment_date
     FROM thank_you_messages ty
     JOIN appointments a ON ty.appointment_id = a.id
+    LEFT JOIN slug_followups f ON ty.followup_id = f.id
     WHERE ty.status = 'pending' AND ty.send_time <= UTC_TIMESTAMP()
+      AND a.status IN ('confirmed', 'completed')
   `;
   
   try {
@@ -28,6 +40,7 @@ async function checkAndSendThankYous() {
     console.log(`Found ${dueMessages.length} due thank you messages.`);
 
     for (const msg of dueMessages) {
+      // Queued in the outbox counts as sent; delivery retries happen there.
       const wasSent = await sendThankYouEmail(msg);
       const newStatus = wasSent ? 'sent' : 'failed';
       await db.query(
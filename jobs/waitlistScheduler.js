@@ -0,0 +1,24 @@
+const cron = require('node-cron');
+const { expireWaitlistOffers } = require('../services/waitlistService');
+
+async function checkWaitlistOffers() {
+  try {
+    const { expiredOffers, closedEntries } = await expireWaitlistOffers();
+    if (expiredOffers > 0 || closedEntries > 0) {
+      console.log(`Waitlist run finished: ${expiredOffers} offer(s) expired, ${closedEntries} entry(ies) closed.`);
+    }
+  } catch (error) {
+    console.error('An error occurred during the waitlist job:', error);
+  }
+}
+
+// Offers are held for hours, so checking every few minutes is precise enough.
+function initializeWaitlistJob() {
+  cron.schedule('*/5 * * * *', checkWaitlistOffers, {
+    scheduled: true,
+    timezone: "Etc/UTC"
+  });
+  console.log('Waitlist scheduler has been initialized. Will run every 5 minutes.');
+}
+
+module.exports = { initializeWaitlistJob };
@@ -17,7 +17,7 @@ exports.protect = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Get admin from the database, but exclude the password
-    const [rows] = await db.query('SELECT id, name, email, notification_email, unique_link_slug FROM admins WHERE id = ?', [decoded.id]);
+    const [rows] = await db.query('SELECT id, name, email, notification_email, unique_link_slug, timezone, max_per_day, max_per_week FROM admins WHERE id = ?', [decoded.id]);
     
     if (rows.length === 0) {
       return res.status(401).json({ message: 'Not authorized, admin not found' });
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+// How long a response is kept for replay (IDEMPOTENCY_KEY_HOURS, default 24).
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_HOURS, 10) || 24;
+const MAX_KEY_LENGTH = 255;
+// A request still 'processing' after this long died mid-way (e.g. a restart); its key is freed.
+const ABANDONED_MINUTES = 5;
+
+// Who sent the key to which endpoint: the same key from another admin, or for another
+// endpoint, is a different request.
+function getScope(req) {
+  const owner = req.admin ? `admin:${req.admin.id}` : 'public';
+  return `${owner} ${req.method} ${req.baseUrl}${req.path}`.slice(0, 255);
+}
+
+function hashRequestBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+// Honours an Idempotency-Key header: the first request with a key runs normally and its
+// response is stored; repeats within the retention window get the stored response replayed
+// (with an Idempotent-Replayed: true header) instead of running again. Requests without the
+// header are not affected. Server errors (5xx) are not stored, so those can be retried.
+exports.idempotent = () => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be ${MAX_KEY_LENGTH} characters or fewer.` });
+  }
+
+  const scope = getScope(req);
+  const requestHash = hashRequestBody(req.body);
+
+  try {
+    // A key whose retention window has passed, or whose request was abandoned, can be used again.
+    await db.query(
+      `DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND (expires_at <= UTC_TIMESTAMP()
+        OR (status = 'processing' AND created_at < DATE_SUB(UTC_TIMESTAMP(), INTERVAL ? MINUTE)))`,
+      [scope, key, ABANDONED_MINUTES]
+    );
+
+    let recordId;
+    try {
+      const [result] = await db.query(
+        'INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, created_at, expires_at) VALUES (?, ?, ?, UTC_TIMESTAMP(), DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? HOUR))',
+        [scope, key, requestHash, RETENTION_HOURS]
+      );
+      recordId = result.insertId;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+
+      const [rows] = await db.query(
+        'SELECT request_hash, status, response_status, response_body FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+        [scope, key]
+      );
+      const record = rows[0];
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed. Please retry.' });
+      }
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request.' });
+      }
+      if (record.status === 'processing') {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed. Please retry.' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(JSON.parse(record.response_body));
+    }
+
+    // Store the response before sending it, so a retry arriving right after sees it.
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      const store = res.statusCode >= 500
+        ? db.query('DELETE FROM idempotency_keys WHERE id = ?', [recordId])
+        : db.query(
+          "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE id = ?",
+          [res.statusCode, JSON.stringify(body), recordId]
+        );
+      store
+        .catch(error => console.error('Error storing idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error checking Idempotency-Key:', error);
+    res.status(500).json({ message: 'Server error while checking the Idempotency-Key.' });
+  }
+};
+
+// Removes stored responses whose retention window has passed. Returns how many were removed.
+exports.purgeExpiredIdempotencyKeys = async () => {
+  const [result] = await db.query('DELETE FROM idempotency_keys WHERE expires_at <= UTC_TIMESTAMP()');
+  return result.affectedRows;
+};
@@ -0,0 +1,16 @@
+-- Weekly availability rules per booking page.
+-- Times are wall-clock times in the booking page's timezone.
+
+ALTER TABLE slugs
+  ADD COLUMN timezone VARCHAR(64) NULL,
+  ADD COLUMN slot_interval_minutes INT NOT NULL DEFAULT 30;
+
+CREATE TABLE slug_availability (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug_id INT NOT NULL,
+  weekday TINYINT NOT NULL, -- 0 = Sunday ... 6 = Saturday
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  INDEX idx_slug_availability_slug (slug_id, weekday),
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+-- Meeting durations per booking page and start/end intervals on appointments.
+
+ALTER TABLE slugs
+  ADD COLUMN duration_minutes INT NOT NULL DEFAULT 30,
+  ADD COLUMN duration_options JSON NULL; -- optional list of selectable durations, e.g. [30, 60]
+
+ALTER TABLE appointments
+  ADD COLUMN end_date DATETIME NULL AFTER appointment_date;
+
+-- Existing bookings did not record a length; assume the default 30 minutes.
+UPDATE appointments SET end_date = DATE_ADD(appointment_date, INTERVAL 30 MINUTE) WHERE end_date IS NULL;
+
+ALTER TABLE appointments
+  MODIFY COLUMN end_date DATETIME NOT NULL,
+  ADD INDEX idx_appointments_admin_interval (admin_id, appointment_date, end_date);
+
+ALTER TABLE cancelled_appointments
+  ADD COLUMN end_date DATETIME NULL AFTER appointment_date;
@@ -0,0 +1,10 @@
+-- Client self-service links. Only a SHA-256 hash of the token is stored.
+
+ALTER TABLE appointments
+  ADD COLUMN client_timezone VARCHAR(64) NULL AFTER client_email,
+  ADD COLUMN manage_token_hash CHAR(64) NULL,
+  ADD UNIQUE INDEX idx_appointments_manage_token (manage_token_hash);
+
+ALTER TABLE cancelled_appointments
+  ADD COLUMN client_timezone VARCHAR(64) NULL AFTER client_email,
+  ADD COLUMN cancelled_by ENUM('admin', 'client') NOT NULL DEFAULT 'admin';
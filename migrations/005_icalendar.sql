@@ -0,0 +1,9 @@
+-- iCalendar support: a per-appointment SEQUENCE for invite updates and a
+-- per-admin subscription feed token (only its SHA-256 hash is stored).
+
+ALTER TABLE appointments
+  ADD COLUMN ics_sequence INT NOT NULL DEFAULT 0;
+
+ALTER TABLE admins
+  ADD COLUMN calendar_feed_token_hash CHAR(64) NULL,
+  ADD UNIQUE INDEX idx_admins_calendar_feed_token (calendar_feed_token_hash);
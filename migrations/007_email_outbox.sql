@@ -0,0 +1,21 @@
+-- Durable outbox for every outgoing email. A worker delivers pending rows and
+-- retries failures with exponential backoff until they are marked dead.
+
+CREATE TABLE email_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NULL,
+  kind VARCHAR(50) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NULL,
+  payload JSON NOT NULL, -- the nodemailer message options
+  status ENUM('pending', 'sending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  next_attempt_at DATETIME NOT NULL,
+  sent_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email_outbox_due (status, next_attempt_at),
+  INDEX idx_email_outbox_admin (admin_id, status),
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+);
@@ -0,0 +1,16 @@
+-- Admin-editable email templates. A row with slug_id = NULL applies to all of the
+-- admin's booking pages; a row with a slug_id overrides it for that page only.
+
+CREATE TABLE email_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  slug_id INT NULL,
+  kind VARCHAR(50) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body_html TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email_templates_lookup (admin_id, kind, slug_id),
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Per-admin IANA timezone. NULL falls back to the DEFAULT_TIMEZONE environment variable.
+-- Booking pages can still override it through slugs.timezone (see 001).
+
+ALTER TABLE admins
+  ADD COLUMN timezone VARCHAR(64) NULL AFTER notification_email;
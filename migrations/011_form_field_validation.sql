@@ -0,0 +1,11 @@
+-- Richer booking form fields. field_type now accepts text, textarea, email, phone, number,
+-- date, select, radio and checkbox; type-specific settings (options, min/max, max_length)
+-- are stored as JSON.
+
+ALTER TABLE slug_fields
+  MODIFY COLUMN field_type VARCHAR(20) NOT NULL DEFAULT 'text',
+  ADD COLUMN settings JSON NULL AFTER is_required;
+
+-- Long-text answers can be up to 5000 characters.
+ALTER TABLE appointment_custom_data
+  MODIFY COLUMN field_value TEXT NULL;
@@ -0,0 +1,11 @@
+-- Booking page fields are edited in place instead of being deleted and re-created, so
+-- appointment_custom_data keeps pointing at the field each answer was given for.
+-- Fields removed from a page are retired (hidden from the form) rather than deleted.
+
+ALTER TABLE slug_fields
+  ADD COLUMN position INT NOT NULL DEFAULT 0 AFTER settings,
+  ADD COLUMN retired_at DATETIME NULL AFTER position,
+  ADD INDEX idx_slug_fields_active (slug_id, retired_at, position);
+
+-- Keep the current order (insertion order) for existing fields.
+UPDATE slug_fields SET position = id;
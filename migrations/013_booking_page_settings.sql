@@ -0,0 +1,13 @@
+-- Booking page settings: what clients see on the form, and when a page can be booked.
+-- min_notice_minutes: how soon before its start a slot can still be booked.
+-- max_days_ahead: how far in advance a slot can be booked (NULL = no limit).
+-- buffer_*_minutes: free time kept before and after each booking made on the page.
+
+ALTER TABLE slugs
+  ADD COLUMN title VARCHAR(255) NULL AFTER slug,
+  ADD COLUMN description TEXT NULL AFTER title,
+  ADD COLUMN location VARCHAR(500) NULL AFTER description,
+  ADD COLUMN min_notice_minutes INT NOT NULL DEFAULT 0,
+  ADD COLUMN max_days_ahead INT NULL,
+  ADD COLUMN buffer_before_minutes INT NOT NULL DEFAULT 0,
+  ADD COLUMN buffer_after_minutes INT NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- Daily and weekly booking caps. NULL means no limit.
+-- Booking page caps count that page's bookings in the page's timezone; admin caps count
+-- bookings across all of the admin's pages in the admin's timezone. Weeks run Monday to Sunday.
+
+ALTER TABLE slugs
+  ADD COLUMN max_per_day INT NULL,
+  ADD COLUMN max_per_week INT NULL;
+
+ALTER TABLE admins
+  ADD COLUMN max_per_day INT NULL,
+  ADD COLUMN max_per_week INT NULL;
@@ -0,0 +1,19 @@
+-- One-off exceptions to the weekly availability rules.
+-- 'blackout' blocks booking in [starts_at, ends_at); 'extra' opens the window for booking.
+-- slug_id NULL applies the exception to all of the admin's booking pages.
+-- starts_at and ends_at are UTC; timezone is the one the admin entered them in.
+
+CREATE TABLE availability_exceptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  slug_id INT NULL,
+  kind ENUM('blackout', 'extra') NOT NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  timezone VARCHAR(64) NOT NULL,
+  note VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_availability_exceptions_range (admin_id, starts_at, ends_at),
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Group sessions: a booking page with a capacity above 1 lets that many clients book the
+-- same start time (with the same duration) before the slot is full.
+
+ALTER TABLE slugs
+  ADD COLUMN capacity INT NOT NULL DEFAULT 1;
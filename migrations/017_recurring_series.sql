@@ -0,0 +1,28 @@
+-- Recurring appointments: a series groups occurrences booked together from one recurrence
+-- (daily, weekly or monthly, every N periods, for a number of occurrences or until a date).
+-- Each occurrence stays a normal appointment and can be changed on its own.
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  slug_id INT NULL,
+  frequency ENUM('daily', 'weekly', 'monthly') NOT NULL,
+  interval_count INT NOT NULL DEFAULT 1,
+  occurrence_count INT NULL,
+  until_date DATE NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
+
+ALTER TABLE appointments
+  ADD COLUMN series_id INT NULL,
+  ADD INDEX idx_appointments_series (series_id, appointment_date),
+  ADD CONSTRAINT fk_appointments_series FOREIGN KEY (series_id) REFERENCES appointment_series(id) ON DELETE SET NULL;
+
+ALTER TABLE cancelled_appointments
+  ADD COLUMN series_id INT NULL;
+
+-- Whether clients may book a recurring series from the public booking page.
+ALTER TABLE slugs
+  ADD COLUMN allow_recurring BOOLEAN NOT NULL DEFAULT 0;
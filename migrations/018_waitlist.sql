@@ -0,0 +1,31 @@
+-- Waitlist for fully booked times. A client waits for one slot (desired_start, UTC) or for
+-- any time on a day (desired_day, in the booking page's timezone). When a booking is
+-- cancelled or moved, the first matching entry is offered the freed time: the offer holds
+-- [offered_start, offered_end) until offer_expires_at, then falls through to the next entry.
+-- custom_data keeps the booking form answers as [{ field_id, value }].
+
+CREATE TABLE waitlist_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  slug_id INT NOT NULL,
+  client_name VARCHAR(255) NOT NULL,
+  client_email VARCHAR(255) NOT NULL,
+  client_timezone VARCHAR(64) NOT NULL,
+  details TEXT NULL,
+  custom_data JSON NULL,
+  duration_minutes INT NOT NULL,
+  desired_start DATETIME NULL,
+  desired_day DATE NULL,
+  status ENUM('waiting', 'offered', 'booked', 'expired') NOT NULL DEFAULT 'waiting',
+  offered_start DATETIME NULL,
+  offered_end DATETIME NULL,
+  offer_expires_at DATETIME NULL,
+  claim_token_hash CHAR(64) NULL,
+  appointment_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_waitlist_claim_token (claim_token_hash),
+  INDEX idx_waitlist_queue (slug_id, status, created_at),
+  INDEX idx_waitlist_offers (admin_id, status, offered_start),
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,76 @@
+-- Slot holds: a client reserves a time for a few minutes while filling in the booking form,
+-- and the booking must present the hold token. Only the token's hash is stored. Holds need
+-- no sign-in, so the live holds are capped per booking page and per client address
+-- (client_ip).
+
+CREATE TABLE slot_holds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  slug_id INT NOT NULL,
+  hold_token_hash CHAR(64) NOT NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  client_ip VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_slot_holds_token (hold_token_hash),
+  INDEX idx_slot_holds_range (admin_id, expires_at, starts_at),
+  INDEX idx_slot_holds_slug (slug_id, expires_at),
+  INDEX idx_slot_holds_client (client_ip, expires_at),
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
+
+-- Schedule slots: the database's own guard against double-booking. Every appointment claims
+-- each minute it covers, one row per admin and minute. The clients of one group session
+-- (same page, start and end) share their rows, counted in `attendees`, up to the page's
+-- capacity; a booking that claims a minute another booking already holds sets attendees to
+-- 0 instead, which the CHECK constraint rejects. So two overlapping bookings cannot both be
+-- stored, even if two requests slip past the overlap checks at the same time. Buffers
+-- between meetings are only checked by the application.
+--
+-- Start times and durations can be any whole minute (a 7-minute slot interval, a 50-minute
+-- meeting), so a coarser grid would make back-to-back bookings such as 10:00-10:07 and
+-- 10:07-10:14 share a slot and clash. A minute is the smallest grid that never does; the
+-- rows are small, and a booking has at most 1440 of them (the longest duration, a day).
+--
+-- Requires MySQL 8.0.16 or later: older servers parse CHECK constraints but do not enforce
+-- them, which would let overlapping bookings through.
+
+CREATE TABLE schedule_slots (
+  admin_id INT NOT NULL,
+  slot_start DATETIME NOT NULL,
+  slug_id INT NULL,
+  session_start DATETIME NOT NULL,
+  session_end DATETIME NOT NULL,
+  attendees INT NOT NULL,
+  capacity INT NOT NULL,
+  PRIMARY KEY (admin_id, slot_start),
+  INDEX idx_schedule_slots_slug (slug_id),
+  CONSTRAINT chk_schedule_slots_attendees CHECK (attendees BETWEEN 1 AND capacity),
+  FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
+
+-- Claim the minutes of the bookings that have not ended yet. Bookings that already overlap
+-- are left as they are: the first one keeps the minutes they share.
+SET SESSION cte_max_recursion_depth = 1440;
+
+INSERT INTO schedule_slots (admin_id, slot_start, slug_id, session_start, session_end, attendees, capacity)
+WITH RECURSIVE minutes (n) AS (
+  SELECT 0
+  UNION ALL
+  SELECT n + 1 FROM minutes WHERE n < 1439
+)
+SELECT a.admin_id, DATE_ADD(DATE_FORMAT(a.appointment_date, '%Y-%m-%d %H:%i:00'), INTERVAL m.n MINUTE),
+  a.slug_id, a.appointment_date, a.end_date, 1, COALESCE(s.capacity, 1)
+FROM appointments a
+JOIN minutes m ON DATE_ADD(DATE_FORMAT(a.appointment_date, '%Y-%m-%d %H:%i:00'), INTERVAL m.n MINUTE) < a.end_date
+LEFT JOIN slugs s ON a.slug_id = s.id
+WHERE a.end_date > UTC_TIMESTAMP()
+ORDER BY a.id, m.n
+ON DUPLICATE KEY UPDATE attendees = IF(
+  slug_id <=> VALUES(slug_id) AND session_start = VALUES(session_start) AND session_end = VALUES(session_end),
+  LEAST(attendees + 1, capacity),
+  attendees
+);
@@ -0,0 +1,17 @@
+-- Responses to requests sent with an Idempotency-Key header, so a retried request gets the
+-- original response instead of running twice. scope identifies who sent the key to which
+-- endpoint; request_hash catches a key reused for a different request body.
+
+CREATE TABLE idempotency_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope VARCHAR(255) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+  response_status INT NULL,
+  response_body MEDIUMTEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  UNIQUE KEY uq_idempotency_keys_scope_key (scope, idempotency_key),
+  INDEX idx_idempotency_keys_expires (expires_at)
+);
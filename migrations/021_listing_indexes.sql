@@ -0,0 +1,6 @@
+-- Indexes for the paginated appointment listings. Active appointments are already covered
+-- by idx_appointments_admin_interval (admin_id, appointment_date, end_date).
+
+ALTER TABLE cancelled_appointments
+  ADD INDEX idx_cancelled_admin_cancelled_at (admin_id, cancelled_at),
+  ADD INDEX idx_cancelled_admin_date (admin_id, appointment_date);
@@ -0,0 +1,14 @@
+-- Lifecycle of a booked appointment:
+--   pending_approval -> confirmed -> completed | no_show
+-- Cancelled appointments keep moving to cancelled_appointments as before.
+-- completed and no_show are outcomes the admin records once the meeting has started.
+-- A no-show's pending thank-you messages are marked cancelled, and go back to pending if the
+-- outcome is corrected.
+
+ALTER TABLE appointments
+  ADD COLUMN status ENUM('pending_approval', 'confirmed', 'completed', 'no_show') NOT NULL DEFAULT 'confirmed',
+  ADD COLUMN status_changed_at DATETIME NULL,
+  ADD INDEX idx_appointments_admin_status (admin_id, status, appointment_date);
+
+ALTER TABLE thank_you_messages
+  MODIFY COLUMN status ENUM('pending', 'sent', 'failed', 'cancelled') NOT NULL DEFAULT 'pending';
@@ -0,0 +1,16 @@
+-- Manual approval: bookings on a page with requires_approval start as pending_approval and
+-- hold their time until the admin approves or declines them, or approval_expires_at passes.
+-- The approve/decline links emailed to the admin carry a token; only its hash is stored.
+-- Every occurrence of a recurring request shares one token, so they are answered together.
+
+ALTER TABLE slugs
+  ADD COLUMN requires_approval BOOLEAN NOT NULL DEFAULT 0;
+
+ALTER TABLE appointments
+  ADD COLUMN approval_token_hash CHAR(64) NULL,
+  ADD COLUMN approval_expires_at DATETIME NULL,
+  ADD INDEX idx_appointments_approval_token (approval_token_hash),
+  ADD INDEX idx_appointments_approval_expiry (status, approval_expires_at);
+
+ALTER TABLE cancelled_appointments
+  MODIFY COLUMN cancelled_by ENUM('admin', 'client', 'declined', 'expired') NOT NULL DEFAULT 'admin';
@@ -0,0 +1,27 @@
+-- Default reminders per booking page. Each rule sends a reminder `minutes_before` the start
+-- of every confirmed booking on the page, with its own message. Rules are turned into
+-- `reminders` rows when a booking is made or approved, and worked out again when it moves.
+-- reminders.rule_id is the rule a reminder came from. reminders.is_manual marks reminders an
+-- admin added or edited for one appointment, which are kept as they are when the booking
+-- moves or the rules change. A reminder the admin deletes is kept with status 'deleted', so
+-- its rule does not make it again.
+
+CREATE TABLE slug_reminder_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug_id INT NOT NULL,
+  minutes_before INT NOT NULL,
+  message TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_slug_reminder_rules (slug_id, minutes_before),
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
+
+ALTER TABLE reminders
+  ADD COLUMN rule_id INT NULL,
+  ADD COLUMN is_manual BOOLEAN NOT NULL DEFAULT 0,
+  MODIFY COLUMN status ENUM('pending', 'sent', 'failed', 'deleted') NOT NULL DEFAULT 'pending',
+  ADD INDEX idx_reminders_rule (rule_id),
+  ADD CONSTRAINT fk_reminders_rule FOREIGN KEY (rule_id) REFERENCES slug_reminder_rules(id) ON DELETE SET NULL;
+
+-- Every reminder so far was added by hand.
+UPDATE reminders SET is_manual = 1;
@@ -0,0 +1,42 @@
+-- Follow-up sequences: the messages sent to a client after a meeting. Each step of a booking
+-- page's sequence is sent `minutes_after` the start of every confirmed booking on the page,
+-- with its own message and, optionally, its own subject and body (otherwise the page's
+-- thank_you template). A page without steps sends the single default thank-you message one
+-- day after; followups_enabled = 0 turns follow-ups off for the page.
+-- thank_you_messages.followup_id is the step a message came from, and is_default marks the
+-- default thank-you message. is_manual marks messages an admin added or edited for one
+-- appointment, which are kept when the booking moves or the sequence changes. A message the
+-- admin deletes is kept with status 'deleted', so the sequence does not make it again.
+
+CREATE TABLE slug_followups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug_id INT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  minutes_after INT NOT NULL,
+  message TEXT NULL,
+  subject VARCHAR(255) NULL,
+  body_html MEDIUMTEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_slug_followups_slug (slug_id, position),
+  FOREIGN KEY (slug_id) REFERENCES slugs(id) ON DELETE CASCADE
+);
+
+ALTER TABLE slugs
+  ADD COLUMN followups_enabled BOOLEAN NOT NULL DEFAULT 1;
+
+ALTER TABLE thank_you_messages
+  ADD COLUMN followup_id INT NULL,
+  ADD COLUMN is_default BOOLEAN NOT NULL DEFAULT 0,
+  ADD COLUMN is_manual BOOLEAN NOT NULL DEFAULT 0,
+  MODIFY COLUMN status ENUM('pending', 'sent', 'failed', 'cancelled', 'deleted') NOT NULL DEFAULT 'pending',
+  ADD INDEX idx_thank_you_followup (followup_id),
+  ADD CONSTRAINT fk_thank_you_followup FOREIGN KEY (followup_id) REFERENCES slug_followups(id) ON DELETE SET NULL;
+
+-- Every message so far is an appointment's default thank-you message. The ones an admin
+-- already changed (text or send time) count as their own.
+UPDATE thank_you_messages SET is_default = 1;
+
+UPDATE thank_you_messages ty
+JOIN appointments a ON ty.appointment_id = a.id
+SET ty.is_manual = 1
+WHERE ty.message IS NOT NULL OR ty.send_time <> DATE_ADD(a.appointment_date, INTERVAL 24 HOUR);
@@ -1,30 +1,195 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const { sendCancellationEmails } = require('../services/emailService');
+const { sendBookingEmails, sendCancellationEmails, sendSessionCancellationEmails, sendRescheduleEmails } = require('../services/emailService');
+const {
+  moveToCancelled,
+  shiftScheduledMessages,
+  findRemindersShiftedIntoPast,
+  buildManageLinks,
+  claimScheduleSlots,
+  releaseScheduleSlots,
+  isScheduleConflict,
+  APPOINTMENT_STATUSES,
+  checkStatusTransition,
+} = require('../services/appointmentService');
+const { getSchedulingSettings, getPageTimezone, checkSlotAvailability, lockAdminSchedule } = require('../services/availabilityService');
+const {
+  SCOPES,
+  normalizeRecurrence,
+  generateOccurrenceStarts,
+  createSeries,
+  shiftOccurrenceStart,
+  getScopedAppointments,
+} = require('../services/seriesService');
+const { isValidEmail } = require('../services/formFieldService');
+const { offerFreedSlots } = require('../services/waitlistService');
+const { answerRequest } = require('../services/approvalService');
+const { idempotent } = require('../middleware/idempotency');
+const { isValidTimezone, resolveTimezone } = require('../utils/timezone');
 const { fromZonedTime, format, formatInTimeZone } = require('date-fns-tz');
+const { addDays } = require('date-fns');
 
 // NOTE: All routes in this file are now protected and will only affect
 // the data of the currently logged-in admin.
 // The `req.admin` object is available from the `protect` middleware.
 
 
-// === GET ALL APPOINTMENTS for the logged-in admin ===
+// Columns returned by the appointment listings. The manage token hash is never sent.
+const LISTING_COLUMNS = 'a.id, a.slug_id, s.slug AS booking_page_slug, a.series_id, a.client_name, a.client_email, a.client_timezone, a.appointment_date, a.end_date, a.details, a.created_at';
+const APPOINTMENT_COLUMNS = `${LISTING_COLUMNS}, a.status, a.status_changed_at`;
+const CANCELLED_COLUMNS = `${LISTING_COLUMNS}, a.cancelled_at, a.cancelled_by`;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// The query string options parseListQuery reads. Each may be given once.
+const LIST_QUERY_KEYS = ['page', 'per_page', 'from', 'to', 'slug_id', 'search', 'when', 'status', 'sort', 'order'];
+
+// True for a calendar date written as YYYY-MM-DD that exists (so not 2026-02-30).
+function isValidDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Reads the paging, filter and sort options of a listing from the query string:
+// page, per_page, from and to (YYYY-MM-DD, inclusive, in the admin's timezone), slug_id,
+// search (client name or email), when (upcoming or past), status (one of `statuses`, where
+// the listing has them), sort and order (asc or desc).
+// Returns { where, params, orderBy, page, perPage } or { error }.
+function parseListQuery(query, { adminId, timezone, sortColumns, defaultSort, statuses = null }) {
+  const repeated = LIST_QUERY_KEYS.find(key => query[key] !== undefined && typeof query[key] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once, as a single value.` };
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a whole number of 1 or more.' };
+  }
+  const perPage = query.per_page === undefined ? DEFAULT_PAGE_SIZE : Number(query.per_page);
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PAGE_SIZE) {
+    return { error: `per_page must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  const conditions = ['a.admin_id = ?'];
+  const params = [adminId];
+
+  if ((query.from && !isValidDay(query.from)) || (query.to && !isValidDay(query.to))) {
+    return { error: 'from and to must be valid dates (YYYY-MM-DD).' };
+  }
+  if (query.from) {
+    conditions.push('a.appointment_date >= ?');
+    params.push(format(fromZonedTime(`${query.from} 00:00:00`, timezone), 'yyyy-MM-dd HH:mm:ss'));
+  }
+  if (query.to) {
+    const dayAfter = addDays(new Date(`${query.to}T00:00:00Z`), 1).toISOString().slice(0, 10);
+    conditions.push('a.appointment_date < ?');
+    params.push(format(fromZonedTime(`${dayAfter} 00:00:00`, timezone), 'yyyy-MM-dd HH:mm:ss'));
+  }
+
+  if (query.slug_id !== undefined) {
+    const slugId = Number(query.slug_id);
+    if (!Number.isInteger(slugId)) {
+      return { error: 'slug_id must be a booking page id.' };
+    }
+    conditions.push('a.slug_id = ?');
+    params.push(slugId);
+  }
+
+  if (query.search) {
+    const pattern = `%${String(query.search).replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push('(a.client_name LIKE ? OR a.client_email LIKE ?)');
+    params.push(pattern, pattern);
+  }
+
+  if (query.when !== undefined) {
+    if (query.when === 'upcoming') {
+      conditions.push('a.appointment_date >= UTC_TIMESTAMP()');
+    } else if (query.when === 'past') {
+      conditions.push('a.appointment_date < UTC_TIMESTAMP()');
+    } else {
+      return { error: 'when must be upcoming or past.' };
+    }
+  }
+
+  if (statuses && query.status !== undefined) {
+    if (!statuses.includes(query.status)) {
+      return { error: `status must be one of: ${statuses.join(', ')}.` };
+    }
+    conditions.push('a.status = ?');
+    params.push(query.status);
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!sortColumns.includes(sort)) {
+    return { error: `sort must be one of: ${sortColumns.join(', ')}.` };
+  }
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc.' };
+  }
+
+  return {
+    where: conditions.join(' AND '),
+    params,
+    orderBy: `a.${sort} ${order.toUpperCase()}, a.id ${order.toUpperCase()}`,
+    page,
+    perPage,
+  };
+}
+
+// Runs a listing built by parseListQuery and responds with { data, pagination }.
+async function sendListPage(res, table, columns, list) {
+  const from = `FROM ${table} a LEFT JOIN slugs s ON a.slug_id = s.id WHERE ${list.where}`;
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${from}`, list.params);
+  const [rows] = await db.query(
+    `SELECT ${columns} ${from} ORDER BY ${list.orderBy} LIMIT ? OFFSET ?`,
+    [...list.params, list.perPage, (list.page - 1) * list.perPage]
+  );
+
+  res.json({
+    data: rows,
+    pagination: {
+      page: list.page,
+      per_page: list.perPage,
+      total,
+      total_pages: Math.ceil(total / list.perPage),
+    },
+  });
+}
+
+// === GET APPOINTMENTS for the logged-in admin, a page at a time ===
+// Filters and sorting are described at parseListQuery.
 router.get('/', async (req, res) => {
-  const adminId = req.admin.id;
   try {
-    const [rows] = await db.query(
-        'SELECT * FROM appointments WHERE admin_id = ? ORDER BY appointment_date DESC', 
-        [adminId]
-    );
-    res.json(rows);
+    const list = parseListQuery(req.query, {
+      adminId: req.admin.id,
+      timezone: resolveTimezone(req.admin.timezone),
+      sortColumns: ['appointment_date', 'created_at', 'client_name', 'status'],
+      defaultSort: 'appointment_date',
+      statuses: APPOINTMENT_STATUSES,
+    });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    await sendListPage(res, 'appointments', APPOINTMENT_COLUMNS, list);
   } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: 'Invalid date range provided.' });
+    }
     console.error(error);
     res.status(500).json({ message: 'Error fetching appointments' });
   }
 });
 
 // === GET APPOINTMENTS FOR A SPECIFIC DATE for the logged-in admin ===
+// A day without appointments returns an empty list.
 router.get('/by-date', async (req, res) => {
   const adminId = req.admin.id;
   try {
@@ -34,7 +199,7 @@ router.get('/by-date', async (req, res) => {
         return res.status(400).json({ message: 'A valid date query parameter is required (YYYY-MM-DD).' });
     }
 
-    const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
+    const appDefaultTimezone = resolveTimezone(req.admin.timezone);
     const startOfDayUtc = fromZonedTime(`${date} 00:00:00`, appDefaultTimezone);
     const endOfDayUtc = fromZonedTime(`${date} 23:59:59`, appDefaultTimezone);
 
@@ -42,14 +207,11 @@ router.get('/by-date', async (req, res) => {
     const endUtcForDb = format(endOfDayUtc, 'yyyy-MM-dd HH:mm:ss');
 
     const [appointments] = await db.query(
-      'SELECT * FROM appointments WHERE admin_id = ? AND appointment_date BETWEEN ? AND ? ORDER BY appointment_date ASC',
+      `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a LEFT JOIN slugs s ON a.slug_id = s.id
+      WHERE a.admin_id = ? AND a.appointment_date BETWEEN ? AND ? ORDER BY a.appointment_date ASC`,
       [adminId, startUtcForDb, endUtcForDb]
     );
 
-    if (appointments.length === 0) {
-      return res.status(404).json({ message: `No appointments found for the date ${date}.` });
-    }
-
     res.json(appointments);
 
   } catch (error) {
@@ -74,7 +236,10 @@ router.get('/:appointmentId/details', async (req, res) => {
               a.client_name, 
               a.client_email, 
               a.appointment_date, 
+              a.end_date, 
               a.details, 
+              a.status,
+              a.status_changed_at,
               a.created_at, 
               s.slug as booking_page_slug
           FROM appointments a
@@ -91,11 +256,15 @@ router.get('/:appointmentId/details', async (req, res) => {
       // Now, get the custom field data associated with this appointment.
       const [customData] = await db.query(
           `SELECT 
+              sf.id AS field_id,
+              sf.field_name,
               sf.field_label, 
-              acd.field_value 
+              acd.field_value,
+              sf.retired_at IS NOT NULL AS is_retired
           FROM appointment_custom_data acd
           JOIN slug_fields sf ON acd.slug_field_id = sf.id
-          WHERE acd.appointment_id = ?`,
+          WHERE acd.appointment_id = ?
+          ORDER BY sf.retired_at IS NOT NULL ASC, sf.position ASC, sf.id ASC`,
           [appointmentId]
       );
       
@@ -118,12 +287,7 @@ router.get('/:appointmentId/details', async (req, res) => {
 router.get('/booked-slots', async (req, res) => {
   const adminId = req.admin.id; // Get the admin ID from the token
   try {
-    const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
-
-    if (!appDefaultTimezone) {
-      console.error('Server configuration error: DEFAULT_TIMEZONE is not set.');
-      return res.status(500).json({ message: 'Server configuration error.' });
-    }
+    const appDefaultTimezone = resolveTimezone(req.admin.timezone);
     
     // The query now securely filters by the logged-in admin's ID
     const [rows] = await db.query(
@@ -146,22 +310,32 @@ router.get('/booked-slots', async (req, res) => {
   }
 });
 
-// === GET ALL CANCELLED APPOINTMENTS for the logged-in admin ===
+// === GET CANCELLED APPOINTMENTS for the logged-in admin, a page at a time ===
+// Takes the same filters as GET /; sorted by cancellation time unless asked otherwise.
 router.get('/cancelled', async (req, res) => {
-    const adminId = req.admin.id;
     try {
-        const [rows] = await db.query(
-            'SELECT * FROM cancelled_appointments WHERE admin_id = ? ORDER BY cancelled_at DESC',
-            [adminId]
-        );
-        res.json(rows);
+        const list = parseListQuery(req.query, {
+            adminId: req.admin.id,
+            timezone: resolveTimezone(req.admin.timezone),
+            sortColumns: ['cancelled_at', 'appointment_date', 'created_at', 'client_name'],
+            defaultSort: 'cancelled_at',
+        });
+        if (list.error) {
+            return res.status(400).json({ message: list.error });
+        }
+
+        await sendListPage(res, 'cancelled_appointments', CANCELLED_COLUMNS, list);
     } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid date range provided.' });
+        }
         console.error(error);
         res.status(500).json({ message: 'Error fetching cancelled appointments' });
     }
 });
 
 // === GET CANCELLED APPOINTMENTS BY DATE for the logged-in admin ===
+// A day without cancelled appointments returns an empty list.
 router.get('/cancelled/by-date', async (req, res) => {
     const adminId = req.admin.id;
     try {
@@ -171,21 +345,18 @@ router.get('/cancelled/by-date', async (req, res) => {
             return res.status(400).json({ message: 'A valid date query parameter is required (YYYY-MM-DD).' });
         }
 
-        const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
+        const appDefaultTimezone = resolveTimezone(req.admin.timezone);
         const startOfDayUtc = fromZonedTime(`${date} 00:00:00`, appDefaultTimezone);
         const endOfDayUtc = fromZonedTime(`${date} 23:59:59`, appDefaultTimezone);
         const startUtcForDb = format(startOfDayUtc, 'yyyy-MM-dd HH:mm:ss');
         const endUtcForDb = format(endOfDayUtc, 'yyyy-MM-dd HH:mm:ss');
 
         const [appointments] = await db.query(
-          'SELECT * FROM cancelled_appointments WHERE admin_id = ? AND appointment_date BETWEEN ? AND ? ORDER BY appointment_date ASC',
+          `SELECT ${CANCELLED_COLUMNS} FROM cancelled_appointments a LEFT JOIN slugs s ON a.slug_id = s.id
+          WHERE a.admin_id = ? AND a.appointment_date BETWEEN ? AND ? ORDER BY a.appointment_date ASC`,
           [adminId, startUtcForDb, endUtcForDb]
         );
 
-        if (appointments.length === 0) {
-            return res.status(404).json({ message: `No cancelled appointments found for the date ${date}.` });
-        }
-
         res.json(appointments);
     } catch (error) {
         console.error('Error fetching cancelled appointments by date:', error);
@@ -193,19 +364,434 @@ router.get('/cancelled/by-date', async (req, res) => {
     }
 });
 
+// === CREATE A RECURRING SERIES for the logged-in admin ===
+// Honours the Idempotency-Key header, like the other create and reschedule endpoints.
+// Every occurrence is checked like a single booking (admins may skip the notice window and
+// caps); if any occurrence is unavailable nothing is booked and the conflicts are listed.
+router.post('/series', idempotent(), async (req, res) => {
+  const adminId = req.admin.id;
+  const { slug_id, client_name, client_email, client_timezone, details = null, appointment_date, duration_minutes, recurrence } = req.body;
+
+  if (!slug_id || !client_name || !client_email || !appointment_date) {
+    return res.status(400).json({ message: 'slug_id, client_name, client_email and appointment_date are required.' });
+  }
+  if (!isValidEmail(client_email)) {
+    return res.status(400).json({ message: 'Invalid client_email format.' });
+  }
+  if (client_timezone !== undefined && client_timezone !== null && !isValidTimezone(client_timezone)) {
+    return res.status(400).json({ message: 'client_timezone must be a valid IANA timezone name (e.g. "Africa/Lagos").' });
+  }
+
+  const normalized = normalizeRecurrence(recurrence);
+  if (normalized.error) {
+    return res.status(400).json({ message: normalized.error });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const page = await getSchedulingSettings(slug_id, connection);
+    if (!page || page.admin_id !== adminId) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Booking page not found.' });
+    }
+
+    const duration = duration_minutes !== undefined ? Number(duration_minutes) : page.duration_minutes;
+    if (!Number.isInteger(duration) || duration < 5 || duration > 1440) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'duration_minutes must be a whole number between 5 and 1440.' });
+    }
+
+    const sourceTimezone = client_timezone || getPageTimezone(page);
+    const occurrenceStarts = generateOccurrenceStarts(appointment_date, sourceTimezone, normalized.recurrence);
+    if (occurrenceStarts.error) {
+      await connection.rollback();
+      return res.status(400).json({ message: occurrenceStarts.error });
+    }
+
+    const series = await createSeries(connection, {
+      adminId,
+      page,
+      appointment: { client_name, client_email, client_timezone: sourceTimezone, details },
+      starts: occurrenceStarts.starts,
+      durationMinutes: duration,
+      recurrence: normalized.recurrence,
+      adminOverride: true,
+    });
+    if (series.conflicts) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: 'Some occurrences of this series are not available. Nothing was booked.',
+        conflicts: series.conflicts,
+      });
+    }
+
+    const pageDetails = { booking_slug: page.slug };
+    const occurrences = series.occurrences.map(o => ({ ...o.appointment, ...pageDetails }));
+    const first = { ...occurrences[0], manage_links: buildManageLinks(series.occurrences[0].manageToken) };
+    await sendBookingEmails(first, sourceTimezone, req.admin.notification_email, [], { occurrences, connection });
+
+    await connection.commit();
+
+    res.status(201).json({
+      message: `Recurring series created with ${occurrences.length} occurrences.`,
+      series_id: series.seriesId,
+      appointmentIds: occurrences.map(o => o.id),
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+    }
+    if (isScheduleConflict(error)) {
+      return res.status(409).json({ message: 'One of the times has just been booked by someone else. Nothing was booked.' });
+    }
+    console.error('Error creating recurring series:', error);
+    res.status(500).json({ message: 'Error creating recurring series' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// Reads the series scope of a change: 'this' (default), 'following' or 'series'.
+function getScope(req) {
+  const scope = (req.body && req.body.scope) || req.query.scope || 'this';
+  return SCOPES.includes(scope) ? scope : null;
+}
+
+// === RESCHEDULE / UPDATE AN APPOINTMENT for the logged-in admin ===
+// Pending reminders and thank-you messages keep their offset from the start time.
+// For an occurrence of a recurring series, `scope` applies the change to this occurrence,
+// this and the following ones, or the whole series; moved occurrences keep their spacing.
+// Retries sent with the same Idempotency-Key header get the original response back.
+router.patch('/:id', idempotent(), async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.admin.id;
+  const { appointment_date, client_timezone, duration_minutes, client_name, client_email, details } = req.body;
+
+  if (appointment_date === undefined && duration_minutes === undefined &&
+      client_name === undefined && client_email === undefined && details === undefined) {
+    return res.status(400).json({ message: 'Provide appointment_date, duration_minutes, client_name, client_email or details to update.' });
+  }
+
+  const scope = getScope(req);
+  if (!scope) {
+    return res.status(400).json({ message: `scope must be one of: ${SCOPES.join(', ')}.` });
+  }
+
+  if (duration_minutes !== undefined) {
+    const duration = Number(duration_minutes);
+    if (!Number.isInteger(duration) || duration < 5 || duration > 1440) {
+      return res.status(400).json({ message: 'duration_minutes must be a whole number between 5 and 1440.' });
+    }
+  }
+
+  if ((client_name !== undefined && !client_name) || (client_email !== undefined && !client_email)) {
+    return res.status(400).json({ message: 'client_name and client_email cannot be empty.' });
+  }
+  if (client_email !== undefined && !isValidEmail(client_email)) {
+    return res.status(400).json({ message: 'Invalid client_email format.' });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Taken before the appointment rows, in the same order as a booking, so the two never deadlock.
+    await lockAdminSchedule(connection, adminId);
+
+    const [rows] = await connection.query(
+        'SELECT * FROM appointments WHERE id = ? AND admin_id = ? FOR UPDATE',
+        [id, adminId]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Appointment not found or you do not have permission to update it.' });
+    }
+
+    const appointment = rows[0];
+    const targets = await getScopedAppointments(connection, appointment, scope);
+    const targetIds = targets.map(t => t.id);
+    const oldStart = new Date(appointment.appointment_date);
+
+    let newStart = oldStart;
+    let clientTimezone = appointment.client_timezone;
+    const sourceTimezone = client_timezone || appointment.client_timezone || resolveTimezone(req.admin.timezone);
+    if (appointment_date !== undefined) {
+      newStart = fromZonedTime(appointment_date, sourceTimezone);
+      if (isNaN(newStart.getTime())) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+      }
+      if (client_timezone) {
+        clientTimezone = client_timezone;
+      }
+    }
+
+    const page = appointment.slug_id ? await getSchedulingSettings(appointment.slug_id, connection) : null;
+    const changes = [];
+    const conflicts = [];
+
+    for (const target of targets) {
+      const targetOldStart = new Date(target.appointment_date);
+      const targetOldEnd = new Date(target.end_date);
+      const targetNewStart = target.id === appointment.id
+        ? newStart
+        : shiftOccurrenceStart(targetOldStart, oldStart, newStart, sourceTimezone);
+      const durationMs = duration_minutes !== undefined ? Number(duration_minutes) * 60000 : targetOldEnd - targetOldStart;
+      const targetNewEnd = new Date(targetNewStart.getTime() + durationMs);
+      const timeChanged = targetNewStart.getTime() !== targetOldStart.getTime() || targetNewEnd.getTime() !== targetOldEnd.getTime();
+
+      if (timeChanged) {
+        // Same checks as a public booking, ignoring the appointments being moved. Admins may
+        // book inside the page's notice window and past its caps, so only the rules, overlaps
+        // and buffers apply.
+        const slotError = await checkSlotAvailability(connection, page, adminId, targetNewStart, targetNewEnd, { excludeId: targetIds, adminOverride: true });
+        if (slotError) {
+          if (targets.length === 1) {
+            await connection.rollback();
+            return res.status(slotError.status).json({ message: slotError.message });
+          }
+          conflicts.push({ id: target.id, start: targetNewStart.toISOString(), status: slotError.status, message: slotError.message });
+          continue;
+        }
+
+        const pastReminders = await findRemindersShiftedIntoPast(connection, target.id, targetOldStart, targetNewStart);
+        if (pastReminders.length > 0) {
+          await connection.rollback();
+          return res.status(400).json({
+            message: 'Some reminders would be scheduled in the past after this change. Update or delete them first.',
+            reminderIds: pastReminders.map(r => r.id),
+          });
+        }
+      }
+
+      changes.push({ target, targetOldStart, targetNewStart, targetNewEnd, timeChanged });
+    }
+
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: 'Some occurrences cannot be moved to the new time. Nothing was changed.',
+        conflicts,
+      });
+    }
+
+    // Occurrences moving later are updated last-first (and earlier ones first-first), so none
+    // claims a time another occurrence has not left yet.
+    if (newStart > oldStart) {
+      changes.reverse();
+    }
+
+    const updatedAppointments = [];
+    for (const { target, targetOldStart, targetNewStart, targetNewEnd, timeChanged } of changes) {
+      const newDate = format(targetNewStart, 'yyyy-MM-dd HH:mm:ss');
+      const updated = {
+        client_name: client_name !== undefined ? client_name : target.client_name,
+        client_email: client_email !== undefined ? client_email : target.client_email,
+        client_timezone: clientTimezone !== appointment.client_timezone ? clientTimezone : target.client_timezone,
+        details: details !== undefined ? details : target.details,
+        appointment_date: newDate,
+        end_date: format(targetNewEnd, 'yyyy-MM-dd HH:mm:ss'),
+        // Calendar clients only apply an updated invite when its SEQUENCE grows.
+        ics_sequence: timeChanged ? target.ics_sequence + 1 : target.ics_sequence,
+      };
+
+      if (timeChanged) {
+        await releaseScheduleSlots(connection, target);
+      }
+      await connection.query('UPDATE appointments SET ? WHERE id = ?', [updated, target.id]);
+      if (timeChanged) {
+        await claimScheduleSlots(connection, { ...target, ...updated });
+      }
+
+      if (targetNewStart.getTime() !== targetOldStart.getTime()) {
+        await shiftScheduledMessages(connection, target.id, targetOldStart, targetNewStart);
+      }
+
+      const { manage_token_hash, ...appointmentFields } = target;
+      updatedAppointments.push({ ...appointmentFields, ...updated, appointment_date: targetNewStart, end_date: targetNewEnd });
+    }
+    updatedAppointments.sort((a, b) => a.appointment_date - b.appointment_date);
+
+    const updatedAppointment = updatedAppointments.find(a => a.id === appointment.id);
+
+    if (newStart.getTime() !== oldStart.getTime()) {
+      const occurrences = updatedAppointments.length > 1 ? updatedAppointments : [];
+      await sendRescheduleEmails(updatedAppointment, oldStart, clientTimezone, req.admin.notification_email, { notifyAdmin: false, occurrences, connection });
+    }
+
+    await connection.commit();
+
+    // The times the moved appointments left behind can go to the waitlist.
+    offerFreedSlots(changes.filter(change => change.timeChanged).map(change => change.target));
+
+    res.json({
+      message: updatedAppointments.length > 1
+        ? `${updatedAppointments.length} occurrences updated successfully.`
+        : 'Appointment updated successfully.',
+      appointment: updatedAppointment,
+      ...(updatedAppointments.length > 1 && { appointments: updatedAppointments }),
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error instanceof RangeError) {
+      return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+    }
+    if (isScheduleConflict(error)) {
+      return res.status(409).json({ message: 'This time slot has just been booked by someone else.' });
+    }
+    console.error('Error updating appointment:', error);
+    res.status(500).json({ message: 'Error updating appointment' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// @desc    Move an appointment through its lifecycle, e.g. record that the client attended
+//          (completed) or did not show up (no_show) once the meeting has started
+// @route   PATCH /api/appointments/:id/status
+// @access  Protected
+router.patch('/:id/status', async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.admin.id;
+  const { status } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ message: `status is required (one of: ${APPOINTMENT_STATUSES.join(', ')}).` });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Taken before the appointment rows, in the same order as a booking, so the two never deadlock.
+    await lockAdminSchedule(connection, adminId);
+
+    const [rows] = await connection.query(
+        'SELECT id, appointment_date, status FROM appointments WHERE id = ? AND admin_id = ? FOR UPDATE',
+        [id, adminId]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Appointment not found or you do not have permission to update it.' });
+    }
+
+    const appointment = rows[0];
+    const transitionError = checkStatusTransition(appointment, status);
+    if (transitionError) {
+      await connection.rollback();
+      return res.status(400).json({ message: transitionError });
+    }
+
+    if (appointment.status !== status) {
+      await connection.query(
+          'UPDATE appointments SET status = ?, status_changed_at = UTC_TIMESTAMP() WHERE id = ?',
+          [status, appointment.id]
+      );
+
+      // A no-show is not thanked: its pending messages are cancelled, and put back if the
+      // outcome is corrected.
+      if (status === 'no_show') {
+        await connection.query(
+            "UPDATE thank_you_messages SET status = 'cancelled' WHERE appointment_id = ? AND status = 'pending'",
+            [appointment.id]
+        );
+      } else if (appointment.status === 'no_show') {
+        await connection.query(
+            "UPDATE thank_you_messages SET status = 'pending' WHERE appointment_id = ? AND status = 'cancelled'",
+            [appointment.id]
+        );
+      }
+    }
+
+    await connection.commit();
+
+    res.json({ message: `Appointment marked as ${status}.`, id: appointment.id, previous_status: appointment.status, status });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error updating appointment status:', error);
+    res.status(500).json({ message: 'Error updating appointment status' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// @desc    Approve a booking request (every occurrence of a recurring request)
+// @route   POST /api/appointments/:id/approve
+// @access  Protected
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const result = await answerRequest({ appointmentId: req.params.id, adminId: req.admin.id }, 'approve');
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'The booking has been approved and the client has been sent their confirmation.',
+      approvedIds: result.appointments.map(appointment => appointment.id),
+    });
+
+  } catch (error) {
+    console.error('Error approving booking request:', error);
+    res.status(500).json({ message: 'Error approving booking request' });
+  }
+});
+
+// @desc    Decline a booking request, with an optional reason for the client
+// @route   POST /api/appointments/:id/decline
+// @access  Protected
+router.post('/:id/decline', async (req, res) => {
+  const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+
+  try {
+    const result = await answerRequest({ appointmentId: req.params.id, adminId: req.admin.id }, 'decline', reason);
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'The booking request has been declined and the client has been notified.',
+      declinedIds: result.appointments.map(appointment => appointment.id),
+    });
+
+  } catch (error) {
+    console.error('Error declining booking request:', error);
+    res.status(500).json({ message: 'Error declining booking request' });
+  }
+});
+
 // === CANCEL AN APPOINTMENT for the logged-in admin ===
-// === CANCEL AN APPOINTMENT for the logged-in admin ===
+// For an occurrence of a recurring series, `scope` cancels this occurrence, this and the
+// following ones, or the whole series. The client gets one email covering all of them.
 router.delete('/:id', async (req, res) => {
   const { id } = req.params;
   const adminId = req.admin.id;
   const adminNotificationEmail = req.admin.notification_email;
   const { cancellationMessage } = req.body;
+
+  const scope = getScope(req);
+  if (!scope) {
+    return res.status(400).json({ message: `scope must be one of: ${SCOPES.join(', ')}.` });
+  }
   
   const connection = await db.getConnection();
 
   try {
     await connection.beginTransaction();
 
+    // Taken before the appointment rows, in the same order as a booking, so the two never deadlock.
+    await lockAdminSchedule(connection, adminId);
+
     const [rows] = await connection.query(
         'SELECT * FROM appointments WHERE id = ? AND admin_id = ? FOR UPDATE', 
         [id, adminId]
@@ -217,25 +803,25 @@ router.delete('/:id', async (req, res) => {
     }
     
     const appointmentToCancel = rows[0];
+    const cancelled = await getScopedAppointments(connection, appointmentToCancel, scope);
 
-    // MODIFIED: Also move the slug_id to the cancelled_appointments table
-    await connection.query('INSERT INTO cancelled_appointments SET ?', {
-        id: appointmentToCancel.id,
-        admin_id: appointmentToCancel.admin_id,
-        slug_id: appointmentToCancel.slug_id, // <-- ADDED THIS LINE
-        client_name: appointmentToCancel.client_name,
-        client_email: appointmentToCancel.client_email,
-        appointment_date: appointmentToCancel.appointment_date,
-        details: appointmentToCancel.details,
-        created_at: appointmentToCancel.created_at
-    });
+    for (const appointment of cancelled) {
+      await moveToCancelled(connection, appointment, 'admin');
+    }
+
+    const occurrences = cancelled.length > 1 ? cancelled : [];
+    await sendCancellationEmails(appointmentToCancel, cancellationMessage, adminNotificationEmail, { occurrences, connection });
 
-    await connection.query('DELETE FROM appointments WHERE id = ?', [id]);
     await connection.commit();
 
-    sendCancellationEmails(appointmentToCancel, cancellationMessage, adminNotificationEmail).catch(console.error);
+    offerFreedSlots(cancelled);
 
-    res.json({ message: 'Appointment cancelled successfully and moved to history.' });
+    res.json({
+      message: cancelled.length > 1
+        ? `${cancelled.length} occurrences cancelled successfully and moved to history.`
+        : 'Appointment cancelled successfully and moved to history.',
+      cancelledIds: cancelled.map(appointment => appointment.id),
+    });
 
   } catch (error) {
     if (connection) await connection.rollback();
@@ -246,4 +832,61 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// @desc    Cancel a whole group session: every booking on the same page at the same time
+// @route   DELETE /api/appointments/:id/session
+// @access  Protected
+router.delete('/:id/session', async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.admin.id;
+  const adminNotificationEmail = req.admin.notification_email;
+  const { cancellationMessage } = req.body;
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Taken before the appointment rows, in the same order as a booking, so the two never deadlock.
+    await lockAdminSchedule(connection, adminId);
+
+    const [rows] = await connection.query(
+        'SELECT * FROM appointments WHERE id = ? AND admin_id = ? FOR UPDATE',
+        [id, adminId]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Appointment not found or you do not have permission to cancel it.' });
+    }
+
+    const appointment = rows[0];
+
+    // Every attendee of the session booked the same page for the same start and end.
+    const [attendees] = await connection.query(
+        'SELECT * FROM appointments WHERE admin_id = ? AND slug_id <=> ? AND appointment_date = ? AND end_date = ? FOR UPDATE',
+        [adminId, appointment.slug_id, appointment.appointment_date, appointment.end_date]
+    );
+
+    for (const attendee of attendees) {
+      await moveToCancelled(connection, attendee, 'admin');
+    }
+    await sendSessionCancellationEmails(attendees, cancellationMessage, adminNotificationEmail, { connection });
+    await connection.commit();
+
+    offerFreedSlots(attendees);
+
+    res.json({
+      message: `Session cancelled. ${attendees.length} booking(s) moved to history and every attendee has been notified.`,
+      cancelledIds: attendees.map(attendee => attendee.id),
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error cancelling session:', error);
+    res.status(500).json({ message: 'Error cancelling session' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { findRequest, isExpiredRequest, answerRequest } = require('../services/approvalService');
+const { getAppointmentCustomFields } = require('../services/templateService');
+const { resolveTimezone } = require('../utils/timezone');
+const { formatInTimeZone } = require('date-fns-tz');
+
+// NOTE: These routes are public. Access is granted by the unguessable approval token
+// that was emailed to the admin when a client requested a booking on a page that needs
+// approval. Once the request is answered or expires, the token no longer works.
+
+// The optional message to the client when a request is declined.
+function getDeclineReason(body) {
+    const reason = body && typeof body.reason === 'string' ? body.reason.trim() : '';
+    return reason || null;
+}
+
+
+// @desc    View a booking request using its approval token
+// @route   GET /api/approvals/:token
+// @access  Public (token)
+router.get('/:token', async (req, res) => {
+    try {
+        const request = await findRequest(db, { token: req.params.token });
+        if (request.length === 0) {
+            return res.status(404).json({ message: 'This booking request was not found, or it has already been answered or has expired.' });
+        }
+
+        const [first] = request;
+        const timezone = resolveTimezone(first.slug_timezone, first.admin_timezone);
+        const customFields = await getAppointmentCustomFields(first.id);
+
+        res.json({
+            client_name: first.client_name,
+            client_email: first.client_email,
+            client_timezone: first.client_timezone,
+            details: first.details,
+            custom_fields: customFields,
+            booking_slug: first.booking_slug,
+            booking_title: first.booking_title || first.booking_slug,
+            status: isExpiredRequest(request) ? 'expired' : 'pending_approval',
+            timezone: timezone,
+            expires_at: formatInTimeZone(first.approval_expires_at, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            occurrences: request.map(appointment => ({
+                id: appointment.id,
+                appointment_date: formatInTimeZone(appointment.appointment_date, timezone, 'yyyy-MM-dd HH:mm:ss'),
+                end_date: formatInTimeZone(appointment.end_date, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            })),
+        });
+
+    } catch (error) {
+        console.error('Error fetching booking request:', error);
+        res.status(500).json({ message: 'Error fetching booking request.' });
+    }
+});
+
+// @desc    Approve a booking request using its approval token
+// @route   POST /api/approvals/:token/approve
+// @access  Public (token)
+router.post('/:token/approve', async (req, res) => {
+    try {
+        const result = await answerRequest({ token: req.params.token }, 'approve');
+        if (result.message) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        res.json({
+            message: 'The booking has been approved and the client has been sent their confirmation.',
+            approvedIds: result.appointments.map(appointment => appointment.id),
+        });
+
+    } catch (error) {
+        console.error('Error approving booking request:', error);
+        res.status(500).json({ message: 'Error approving booking request.' });
+    }
+});
+
+// @desc    Decline a booking request using its approval token, with an optional reason
+// @route   POST /api/approvals/:token/decline
+// @access  Public (token)
+router.post('/:token/decline', async (req, res) => {
+    try {
+        const result = await answerRequest({ token: req.params.token }, 'decline', getDeclineReason(req.body));
+        if (result.message) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        res.json({
+            message: 'The booking request has been declined and the client has been notified.',
+            declinedIds: result.appointments.map(appointment => appointment.id),
+        });
+
+    } catch (error) {
+        console.error('Error declining booking request:', error);
+        res.status(500).json({ message: 'Error declining booking request.' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const db = require('../config/db');
 const crypto = require('crypto');
 const { sendPasswordResetEmail } = require('../services/emailService');
 const { protect } = require('../middleware/authMiddleware');
+const { isValidTimezone, resolveTimezone } = require('../utils/timezone');
+const { normalizeBookingCaps } = require('../services/availabilityService');
 
 const router = express.Router();
 
@@ -18,7 +20,7 @@ const generateToken = (id) => {
 // @route   POST /api/auth/signup
 // @access  Public
 router.post('/signup', async (req, res) => {
-  const { name, email, password, notification_email, unique_link_slug } = req.body;
+  const { name, email, password, notification_email, unique_link_slug, timezone } = req.body;
 
   if (!name || !email || !password || !notification_email || !unique_link_slug) {
     return res.status(400).json({ message: 'Please provide name, email, password, notification email, and a unique link slug.' });
@@ -28,6 +30,10 @@ router.post('/signup', async (req, res) => {
     return res.status(400).json({ message: 'Unique link slug can only contain lowercase letters, numbers, and hyphens.' });
   }
 
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return res.status(400).json({ message: 'Timezone must be a valid IANA timezone name (e.g. "Africa/Lagos").' });
+  }
+
   try {
     const [existingAdmin] = await db.query('SELECT id FROM admins WHERE email = ? OR unique_link_slug = ?', [email, unique_link_slug]);
     if (existingAdmin.length > 0) {
@@ -38,8 +44,8 @@ router.post('/signup', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     const [result] = await db.query(
-      'INSERT INTO admins (name, email, password, notification_email, unique_link_slug) VALUES (?, ?, ?, ?, ?)',
-      [name, email, hashedPassword, notification_email, unique_link_slug]
+      'INSERT INTO admins (name, email, password, notification_email, unique_link_slug, timezone) VALUES (?, ?, ?, ?, ?, ?)',
+      [name, email, hashedPassword, notification_email, unique_link_slug, timezone || null]
     );
 
     const adminId = result.insertId;
@@ -86,6 +92,60 @@ router.post('/login', async (req, res) => {
 });
 
 
+// @desc    Get the logged-in admin's profile
+// @route   GET /api/auth/profile
+// @access  Protected
+router.get('/profile', protect, (req, res) => {
+  res.json({ ...req.admin, effective_timezone: resolveTimezone(req.admin.timezone) });
+});
+
+// @desc    Update the logged-in admin's profile (name, notification email, timezone, booking caps)
+// @route   PUT /api/auth/profile
+// @access  Protected
+router.put('/profile', protect, async (req, res) => {
+  const { name, notification_email, timezone } = req.body;
+
+  // max_per_day / max_per_week cap bookings across all of the admin's pages; null removes a cap.
+  const caps = normalizeBookingCaps(req.body);
+  if (caps.error) {
+    return res.status(400).json({ message: caps.error });
+  }
+
+  if (name === undefined && notification_email === undefined && timezone === undefined && Object.keys(caps.caps).length === 0) {
+    return res.status(400).json({ message: 'Provide name, notification_email, timezone, max_per_day or max_per_week to update.' });
+  }
+
+  if ((name !== undefined && !name) || (notification_email !== undefined && !notification_email)) {
+    return res.status(400).json({ message: 'Name and notification email cannot be empty.' });
+  }
+
+  // A null timezone clears it, so the server's DEFAULT_TIMEZONE applies again.
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return res.status(400).json({ message: 'Timezone must be a valid IANA timezone name (e.g. "Africa/Lagos").' });
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (notification_email !== undefined) updates.notification_email = notification_email;
+  if (timezone !== undefined) updates.timezone = timezone;
+  Object.assign(updates, caps.caps);
+
+  try {
+    await db.query('UPDATE admins SET ? WHERE id = ?', [updates, req.admin.id]);
+
+    const profile = { ...req.admin, ...updates };
+    res.json({
+      message: 'Profile updated successfully.',
+      admin: { ...profile, effective_timezone: resolveTimezone(profile.timezone) },
+    });
+
+  } catch (error) {
+    console.error('Profile Update Error:', error);
+    res.status(500).json({ message: 'Server error while updating profile.' });
+  }
+});
+
+
 // @desc    Delete the logged-in admin's account
 // @route   DELETE /api/auth/delete-account
 // @access  Protected
@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { fromZonedTime, format, formatInTimeZone } = require('date-fns-tz');
+const { addDays } = require('date-fns');
+const { isValidTimezone, resolveTimezone } = require('../utils/timezone');
+
+// Exceptions to the weekly availability rules:
+// - 'blackout': nothing can be booked in the window (vacations, holidays).
+// - 'extra': the window is open for booking even if the weekly rules do not cover it.
+// With a slug_id an exception applies to that booking page only, otherwise to all of the admin's pages.
+const EXCEPTION_KINDS = ['blackout', 'extra'];
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/;
+
+// Converts a local date ("yyyy-MM-dd", a whole day) or date-time ("yyyy-MM-dd HH:mm") into UTC.
+// A date-only end covers that whole day, so "2025-08-01" to "2025-08-07" blocks seven days.
+function parseLocalBoundary(value, timezone, isEnd) {
+    if (typeof value !== 'string') return null;
+    if (DATE_ONLY_PATTERN.test(value)) {
+        const day = isEnd ? addDays(new Date(`${value}T00:00:00Z`), 1).toISOString().slice(0, 10) : value;
+        return fromZonedTime(`${day} 00:00:00`, timezone);
+    }
+    if (DATE_TIME_PATTERN.test(value)) {
+        return fromZonedTime(value.replace('T', ' '), timezone);
+    }
+    return null;
+}
+
+// Verifies that a booking page belongs to the admin and returns its timezone setting.
+// A missing slugId means "all pages". Returns undefined if the page is not the admin's.
+async function getOwnedSlug(slugId, adminId) {
+    if (!slugId) return null;
+    const [slugs] = await db.query('SELECT id, timezone FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
+    return slugs[0];
+}
+
+// Validates an exception sent by an admin. Returns { values } for the database, with the
+// UTC start and end as Dates in { startsAt, endsAt }, or { status, message }.
+async function normalizeException(body, admin) {
+    const { kind, slug_id = null, start, end, timezone, note = null } = body;
+
+    if (!EXCEPTION_KINDS.includes(kind)) {
+        return { status: 400, message: `kind must be one of: ${EXCEPTION_KINDS.join(', ')}.` };
+    }
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+        return { status: 400, message: 'timezone must be a valid IANA timezone name (e.g. "Africa/Lagos").' };
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > 255)) {
+        return { status: 400, message: 'note must be a string of 255 characters or fewer.' };
+    }
+
+    const slug = await getOwnedSlug(slug_id, admin.id);
+    if (slug === undefined) {
+        return { status: 404, message: 'Booking page not found.' };
+    }
+
+    // Times are read in the given timezone, else the page's, else the admin's.
+    const sourceTimezone = resolveTimezone(timezone, slug && slug.timezone, admin.timezone);
+    const startsAt = parseLocalBoundary(start, sourceTimezone, false);
+    const endsAt = parseLocalBoundary(end, sourceTimezone, true);
+
+    if (!startsAt || !endsAt || isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+        return { status: 400, message: 'start and end must be dates (YYYY-MM-DD) or date-times (YYYY-MM-DD HH:mm).' };
+    }
+    if (endsAt <= startsAt) {
+        return { status: 400, message: 'end must be later than start.' };
+    }
+
+    return {
+        values: {
+            slug_id: slug_id || null,
+            kind,
+            starts_at: format(startsAt, 'yyyy-MM-dd HH:mm:ss'),
+            ends_at: format(endsAt, 'yyyy-MM-dd HH:mm:ss'),
+            timezone: sourceTimezone,
+            note: note || null,
+        },
+        startsAt,
+        endsAt,
+    };
+}
+
+// Adds the local start and end times to an exception row for display.
+function formatException(row) {
+    return {
+        ...row,
+        start: formatInTimeZone(row.starts_at, row.timezone, 'yyyy-MM-dd HH:mm:ss'),
+        end: formatInTimeZone(row.ends_at, row.timezone, 'yyyy-MM-dd HH:mm:ss'),
+    };
+}
+
+// @desc    List the admin's blackouts and extra availability windows
+// @route   GET /api/availability-exceptions?from=YYYY-MM-DD&to=YYYY-MM-DD&slug_id=&kind=
+// @access  Protected
+router.get('/', async (req, res) => {
+    const { from, to, slug_id, kind } = req.query;
+    const timezone = resolveTimezone(req.admin.timezone);
+
+    if ((from && !DATE_ONLY_PATTERN.test(from)) || (to && !DATE_ONLY_PATTERN.test(to))) {
+        return res.status(400).json({ message: 'from and to must be valid dates (YYYY-MM-DD).' });
+    }
+    if (kind && !EXCEPTION_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `kind must be one of: ${EXCEPTION_KINDS.join(', ')}.` });
+    }
+
+    try {
+        // Without a range, only exceptions that have not ended yet are listed.
+        let query = 'SELECT id, slug_id, kind, starts_at, ends_at, timezone, note, created_at FROM availability_exceptions WHERE admin_id = ?';
+        const params = [req.admin.id];
+
+        const rangeStart = from ? fromZonedTime(`${from} 00:00:00`, timezone) : new Date();
+        query += ' AND ends_at > ?';
+        params.push(format(rangeStart, 'yyyy-MM-dd HH:mm:ss'));
+
+        if (to) {
+            query += ' AND starts_at < ?';
+            params.push(format(parseLocalBoundary(to, timezone, true), 'yyyy-MM-dd HH:mm:ss'));
+        }
+        if (slug_id) {
+            query += ' AND (slug_id = ? OR slug_id IS NULL)';
+            params.push(slug_id);
+        }
+        if (kind) {
+            query += ' AND kind = ?';
+            params.push(kind);
+        }
+
+        const [rows] = await db.query(`${query} ORDER BY starts_at ASC`, params);
+        res.json(rows.map(formatException));
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid date range provided.' });
+        }
+        console.error('Error fetching availability exceptions:', error);
+        res.status(500).json({ message: 'Server error fetching availability exceptions.' });
+    }
+});
+
+// @desc    Add a blackout or an extra availability window
+// @route   POST /api/availability-exceptions
+// @access  Protected
+router.post('/', async (req, res) => {
+    try {
+        const normalized = await normalizeException(req.body, req.admin);
+        if (normalized.message) {
+            return res.status(normalized.status).json({ message: normalized.message });
+        }
+
+        const [result] = await db.query('INSERT INTO availability_exceptions SET ?', { admin_id: req.admin.id, ...normalized.values });
+
+        res.status(201).json({
+            message: 'Availability exception created successfully.',
+            exception: formatException({
+                id: result.insertId,
+                ...normalized.values,
+                starts_at: normalized.startsAt,
+                ends_at: normalized.endsAt,
+            }),
+        });
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        console.error('Error creating availability exception:', error);
+        res.status(500).json({ message: 'Server error while creating availability exception.' });
+    }
+});
+
+// @desc    Replace a blackout or an extra availability window
+// @route   PUT /api/availability-exceptions/:exceptionId
+// @access  Protected
+router.put('/:exceptionId', async (req, res) => {
+    try {
+        const normalized = await normalizeException(req.body, req.admin);
+        if (normalized.message) {
+            return res.status(normalized.status).json({ message: normalized.message });
+        }
+
+        const [result] = await db.query(
+            'UPDATE availability_exceptions SET ? WHERE id = ? AND admin_id = ?',
+            [normalized.values, req.params.exceptionId, req.admin.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Availability exception not found.' });
+        }
+
+        res.json({
+            message: 'Availability exception updated successfully.',
+            exception: formatException({
+                id: Number(req.params.exceptionId),
+                ...normalized.values,
+                starts_at: normalized.startsAt,
+                ends_at: normalized.endsAt,
+            }),
+        });
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        console.error('Error updating availability exception:', error);
+        res.status(500).json({ message: 'Server error while updating availability exception.' });
+    }
+});
+
+// @desc    Delete a blackout or an extra availability window
+// @route   DELETE /api/availability-exceptions/:exceptionId
+// @access  Protected
+router.delete('/:exceptionId', async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'DELETE FROM availability_exceptions WHERE id = ? AND admin_id = ?',
+            [req.params.exceptionId, req.admin.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Availability exception not found.' });
+        }
+
+        res.json({ message: 'Availability exception deleted successfully.' });
+
+    } catch (error) {
+        console.error('Error deleting availability exception:', error);
+        res.status(500).json({ message: 'Server error while deleting availability exception.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const crypto = require('crypto');
+const db = require('../config/db');
+const { protect } = require('../middleware/authMiddleware');
+const { buildEvent, buildCalendar, escapeText } = require('../services/icsService');
+const { hashToken } = require('../services/appointmentService');
+
+const router = express.Router();
+
+// Shown before the title of a feed event whose appointment is not simply booked.
+const FEED_STATUS_LABELS = {
+    pending_approval: 'Awaiting approval',
+    no_show: 'No-show',
+};
+
+// @desc    Create (or rotate) the secret calendar feed URL for the logged-in admin
+// @route   POST /api/calendar/feed-token
+// @access  Protected
+router.post('/feed-token', protect, async (req, res) => {
+    try {
+        // The token itself is only shown once; the database keeps its hash.
+        // Rotating it invalidates any previously shared feed URL.
+        const feedToken = crypto.randomBytes(32).toString('hex');
+
+        await db.query(
+            'UPDATE admins SET calendar_feed_token_hash = ? WHERE id = ?',
+            [hashToken(feedToken), req.admin.id]
+        );
+
+        const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+        res.status(201).json({
+            message: 'Calendar feed URL created. Keep it private: anyone with it can read your appointments.',
+            url: `${baseUrl}/api/calendar/${feedToken}.ics`,
+        });
+
+    } catch (error) {
+        console.error('Error creating calendar feed token:', error);
+        res.status(500).json({ message: 'Server error while creating calendar feed.' });
+    }
+});
+
+// @desc    Revoke the calendar feed URL for the logged-in admin
+// @route   DELETE /api/calendar/feed-token
+// @access  Protected
+router.delete('/feed-token', protect, async (req, res) => {
+    try {
+        await db.query('UPDATE admins SET calendar_feed_token_hash = NULL WHERE id = ?', [req.admin.id]);
+        res.json({ message: 'Calendar feed URL has been revoked.' });
+    } catch (error) {
+        console.error('Error revoking calendar feed token:', error);
+        res.status(500).json({ message: 'Server error while revoking calendar feed.' });
+    }
+});
+
+// @desc    Serve all of an admin's appointments as a subscribable iCalendar feed
+// @route   GET /api/calendar/:token.ics
+// @access  Public (feed token)
+router.get('/:token.ics', async (req, res) => {
+    try {
+        const [admins] = await db.query(
+            'SELECT id, name FROM admins WHERE calendar_feed_token_hash = ?',
+            [hashToken(req.params.token)]
+        );
+        if (admins.length === 0) {
+            return res.status(404).json({ message: 'Calendar feed not found.' });
+        }
+        const admin = admins[0];
+
+        const [appointments] = await db.query(
+            `SELECT a.id, a.status, a.client_name, a.client_email, a.appointment_date, a.end_date, a.details, a.ics_sequence, s.slug, s.title, s.location
+            FROM appointments a
+            LEFT JOIN slugs s ON a.slug_id = s.id
+            WHERE a.admin_id = ?
+            ORDER BY a.appointment_date ASC`,
+            [admin.id]
+        );
+
+        // Booking requests still waiting for approval are tentative. No-shows stay in the feed
+        // as a record of the meeting, labelled as such. Declined and expired requests have moved
+        // to cancelled_appointments with the cancellations, so they are not in it.
+        const events = appointments.map(appointment => buildEvent(appointment, {
+            summary: [
+                FEED_STATUS_LABELS[appointment.status],
+                `${appointment.title || 'Appointment'} with ${appointment.client_name}`,
+            ].filter(Boolean).join(': '),
+            tentative: appointment.status === 'pending_approval',
+            location: appointment.location || undefined,
+            description: [
+                `Client: ${appointment.client_name} <${appointment.client_email}>`,
+                appointment.slug ? `Booking page: ${appointment.slug}` : null,
+                appointment.details ? `Details: ${appointment.details}` : null,
+            ].filter(Boolean).join('\n'),
+        }));
+
+        const calendar = buildCalendar(events, 'PUBLISH', [
+            `X-WR-CALNAME:${escapeText(`${process.env.CLIENT_FACING_APP_NAME || 'Appointments'} - ${admin.name}`)}`,
+            'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+            'X-PUBLISHED-TTL:PT15M',
+        ]);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+        res.send(calendar);
+
+    } catch (error) {
+        console.error('Error serving calendar feed:', error);
+        res.status(500).json({ message: 'Error generating calendar feed.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { sendCancellationEmails, sendRescheduleEmails } = require('../services/emailService');
+const {
+    hashToken,
+    moveToCancelled,
+    shiftScheduledMessages,
+    claimScheduleSlots,
+    releaseScheduleSlots,
+    isScheduleConflict,
+} = require('../services/appointmentService');
+const { getSchedulingSettings, checkSlotAvailability, lockAdminSchedule } = require('../services/availabilityService');
+const { fromZonedTime, format, formatInTimeZone } = require('date-fns-tz');
+const { offerFreedSlots } = require('../services/waitlistService');
+const { resolveTimezone } = require('../utils/timezone');
+
+// NOTE: These routes are public. Access is granted by the unguessable manage token
+// that was emailed to the client when they booked, so every lookup goes through it.
+
+// Finds the appointment for a manage token, together with what the client pages need.
+// With forUpdate, the admin's schedule is locked before the appointment row, in the same
+// order as a booking, so the two never deadlock.
+async function getAppointmentByToken(token, connection = db, { forUpdate = false } = {}) {
+    const query = `SELECT a.*, ad.notification_email, ad.unique_link_slug AS admin_slug, ad.timezone AS admin_timezone,
+            s.slug AS booking_slug, s.title AS booking_title, s.location, s.timezone AS slug_timezone
+        FROM appointments a
+        JOIN admins ad ON a.admin_id = ad.id
+        LEFT JOIN slugs s ON a.slug_id = s.id
+        WHERE a.manage_token_hash = ?`;
+    const [rows] = await connection.query(query, [hashToken(token)]);
+    if (!forUpdate || rows.length === 0) {
+        return rows[0];
+    }
+
+    await lockAdminSchedule(connection, rows[0].admin_id);
+    const [locked] = await connection.query(`${query} FOR UPDATE`, [hashToken(token)]);
+    return locked[0];
+}
+
+
+// @desc    View a booking using its manage token
+// @route   GET /api/manage/:token
+// @access  Public (token)
+router.get('/:token', async (req, res) => {
+    try {
+        const appointment = await getAppointmentByToken(req.params.token);
+        if (!appointment) {
+            return res.status(404).json({ message: 'This booking link is not valid or the booking has been cancelled.' });
+        }
+
+        const timezone = appointment.client_timezone || resolveTimezone(appointment.slug_timezone, appointment.admin_timezone);
+
+        res.json({
+            client_name: appointment.client_name,
+            client_email: appointment.client_email,
+            details: appointment.details,
+            timezone: timezone,
+            appointment_date: formatInTimeZone(appointment.appointment_date, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            end_date: formatInTimeZone(appointment.end_date, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            admin_slug: appointment.admin_slug,
+            booking_slug: appointment.booking_slug,
+            booking_title: appointment.booking_title || appointment.booking_slug,
+            location: appointment.location,
+            can_change: new Date(appointment.appointment_date) > new Date(),
+        });
+
+    } catch (error) {
+        console.error('Error fetching managed booking:', error);
+        res.status(500).json({ message: 'Error fetching booking details.' });
+    }
+});
+
+// @desc    Cancel a booking using its manage token
+// @route   POST /api/manage/:token/cancel
+// @access  Public (token)
+router.post('/:token/cancel', async (req, res) => {
+    const { reason } = req.body;
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const appointment = await getAppointmentByToken(req.params.token, connection, { forUpdate: true });
+        if (!appointment) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'This booking link is not valid or the booking has been cancelled.' });
+        }
+
+        if (new Date(appointment.appointment_date) <= new Date()) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'This appointment has already started and can no longer be cancelled.' });
+        }
+
+        await moveToCancelled(connection, appointment, 'client');
+        await sendCancellationEmails(appointment, reason || null, appointment.notification_email, { connection });
+        await connection.commit();
+
+        offerFreedSlots(appointment);
+
+        res.json({ message: 'Your appointment has been cancelled.' });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error cancelling managed booking:', error);
+        res.status(500).json({ message: 'Error cancelling appointment.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// @desc    Move a booking to another free slot using its manage token
+// @route   POST /api/manage/:token/reschedule
+// @access  Public (token)
+router.post('/:token/reschedule', async (req, res) => {
+    const { appointment_date, client_timezone } = req.body;
+
+    if (!appointment_date) {
+        return res.status(400).json({ message: 'appointment_date is required.' });
+    }
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const appointment = await getAppointmentByToken(req.params.token, connection, { forUpdate: true });
+        if (!appointment) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'This booking link is not valid or the booking has been cancelled.' });
+        }
+
+        const oldStart = new Date(appointment.appointment_date);
+        if (oldStart <= new Date()) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'This appointment has already started and can no longer be rescheduled.' });
+        }
+
+        const sourceTimezone = client_timezone || appointment.client_timezone ||
+            resolveTimezone(appointment.slug_timezone, appointment.admin_timezone);
+        const newStart = fromZonedTime(appointment_date, sourceTimezone);
+        const newEnd = new Date(newStart.getTime() + (new Date(appointment.end_date) - oldStart));
+
+        if (isNaN(newStart.getTime())) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        if (newStart <= new Date()) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'The new time must be in the future.' });
+        }
+
+        const page = appointment.slug_id ? await getSchedulingSettings(appointment.slug_id, connection) : null;
+        const slotError = await checkSlotAvailability(connection, page, appointment.admin_id, newStart, newEnd, { excludeId: appointment.id });
+        if (slotError) {
+            await connection.rollback();
+            return res.status(slotError.status).json({ message: slotError.message });
+        }
+
+        const newDate = format(newStart, 'yyyy-MM-dd HH:mm:ss');
+        const newEndDate = format(newEnd, 'yyyy-MM-dd HH:mm:ss');
+        await releaseScheduleSlots(connection, appointment);
+        await connection.query(
+            'UPDATE appointments SET appointment_date = ?, end_date = ?, client_timezone = ?, ics_sequence = ics_sequence + 1 WHERE id = ?',
+            [newDate, newEndDate, sourceTimezone, appointment.id]
+        );
+        await claimScheduleSlots(connection, { ...appointment, appointment_date: newDate, end_date: newEndDate });
+
+        await shiftScheduledMessages(connection, appointment.id, oldStart, newStart);
+
+        // A client can move a booking closer, so any reminder that now lands in the past
+        // would fire straight away. Drop those instead.
+        await connection.query(
+            "DELETE FROM reminders WHERE appointment_id = ? AND status = 'pending' AND reminder_time <= UTC_TIMESTAMP()",
+            [appointment.id]
+        );
+
+        const rescheduled = {
+            ...appointment,
+            appointment_date: newStart,
+            end_date: newEnd,
+            client_timezone: sourceTimezone,
+            ics_sequence: appointment.ics_sequence + 1
+        };
+        await sendRescheduleEmails(rescheduled, oldStart, sourceTimezone, appointment.notification_email, { connection });
+
+        await connection.commit();
+
+        // The old time can go to the waitlist.
+        offerFreedSlots(appointment);
+
+        res.json({
+            message: 'Your appointment has been rescheduled.',
+            timezone: sourceTimezone,
+            appointment_date: formatInTimeZone(newStart, sourceTimezone, 'yyyy-MM-dd HH:mm:ss'),
+            end_date: formatInTimeZone(newEnd, sourceTimezone, 'yyyy-MM-dd HH:mm:ss'),
+        });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        if (isScheduleConflict(error)) {
+            return res.status(409).json({ message: 'This time slot has just been booked by someone else.' });
+        }
+        console.error('Error rescheduling managed booking:', error);
+        res.status(500).json({ message: 'Error rescheduling appointment.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+module.exports = router;
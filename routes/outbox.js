@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { listFailedEmails, requeueEmail } = require('../services/outboxService');
+
+// @desc    List outgoing emails that could not be delivered
+// @route   GET /api/outbox/failed?status=dead|retrying
+// @access  Protected
+router.get('/failed', async (req, res) => {
+    const { status = 'dead' } = req.query;
+
+    if (!['dead', 'retrying'].includes(status)) {
+        return res.status(400).json({ message: 'status must be either "dead" or "retrying".' });
+    }
+
+    try {
+        const messages = await listFailedEmails(req.admin.id, status);
+        res.json(messages);
+    } catch (error) {
+        console.error('Error fetching failed emails:', error);
+        res.status(500).json({ message: 'Server error fetching failed emails.' });
+    }
+});
+
+// @desc    Re-queue a dead email for immediate delivery (ones still being retried are sent automatically)
+// @route   POST /api/outbox/:messageId/requeue
+// @access  Protected
+router.post('/:messageId/requeue', async (req, res) => {
+    try {
+        const requeued = await requeueEmail(req.params.messageId, req.admin.id);
+        if (!requeued) {
+            return res.status(404).json({ message: 'Dead email not found. Emails still being retried cannot be re-queued.' });
+        }
+        res.json({ message: 'Email has been re-queued for delivery.' });
+    } catch (error) {
+        console.error('Error re-queueing email:', error);
+        res.status(500).json({ message: 'Server error while re-queueing email.' });
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const { sendBookingEmails } = require('../services/emailService');
+const { sendBookingEmails, sendApprovalRequestEmails } = require('../services/emailService');
+const { insertAppointment, buildManageLinks, hashToken, isScheduleConflict } = require('../services/appointmentService');
+const { checkHoldLimits, createHold, verifyHold, releaseHold } = require('../services/holdService');
+const { createApprovalRequest, buildApprovalLinks } = require('../services/approvalService');
+const { idempotent } = require('../middleware/idempotency');
+const { normalizeRecurrence, generateOccurrenceStarts, createSeries } = require('../services/seriesService');
+const { isValidEmail, validateFieldValues } = require('../services/formFieldService');
+const { isValidTimezone } = require('../utils/timezone');
 const { fromZonedTime, format, formatInTimeZone } = require('date-fns-tz');
-const { addHours } = require('date-fns');
+const { addDays, addMinutes } = require('date-fns');
+const {
+    MAX_RANGE_DAYS,
+    getAvailabilityRules,
+    getPageTimezone,
+    listDays,
+    generateSlots,
+    resolveDuration,
+    findOverlappingAppointments,
+    findHeldTimes,
+    overlapsAny,
+    getSeatsRemaining,
+    getBufferedInterval,
+    checkBookingWindow,
+    getBookingCaps,
+    createCapChecker,
+    listAppointmentsStartingBetween,
+    getAvailabilityExceptions,
+    generateExtraSlots,
+    overlapsAnyWindow,
+    checkSlotAvailability,
+    lockAdminSchedule,
+} = require('../services/availabilityService');
 
 // --- MODIFIED HELPER FUNCTION ---
 // Now finds the admin by their profile slug, then finds the booking page by its slug for that admin.
 async function getBookingPageDetails(adminSlug, bookingSlug) {
     // 1. Find the admin using their unique profile slug.
     const [admins] = await db.query(
-        'SELECT id, notification_email FROM admins WHERE unique_link_slug = ?', 
+        'SELECT id, notification_email, timezone, max_per_day, max_per_week FROM admins WHERE unique_link_slug = ?', 
         [adminSlug]
     );
 
@@ -22,7 +51,10 @@ async function getBookingPageDetails(adminSlug, bookingSlug) {
 
     // 2. Find the specific booking page that belongs to this admin.
     const [pages] = await db.query(
-        'SELECT id as slug_id, slug FROM slugs WHERE admin_id = ? AND slug = ?',
+        `SELECT id as slug_id, slug, title, description, location, timezone, slot_interval_minutes,
+            duration_minutes, duration_options, min_notice_minutes, max_days_ahead, buffer_before_minutes, buffer_after_minutes,
+            max_per_day, max_per_week, capacity, allow_recurring, requires_approval
+        FROM slugs WHERE admin_id = ? AND slug = ?`,
         [admin.id, bookingSlug]
     );
 
@@ -34,16 +66,39 @@ async function getBookingPageDetails(adminSlug, bookingSlug) {
 
     // 3. Get the custom fields for that specific booking page.
     const [fields] = await db.query(
-        'SELECT id, field_name, field_label, field_type, is_required FROM slug_fields WHERE slug_id = ?',
+        'SELECT id, field_name, field_label, field_type, is_required, settings FROM slug_fields WHERE slug_id = ? AND retired_at IS NULL ORDER BY position ASC, id ASC',
         [page.slug_id]
     );
+
+    // 4. Get the weekly availability rules for the booking page.
+    const availability = await getAvailabilityRules(page.slug_id);
     
-    // 4. Combine all details into a single object.
+    // 5. Combine all details into a single object.
     return {
         admin_id: admin.id,
         notification_email: admin.notification_email,
         slug_id: page.slug_id,
         slug: page.slug,
+        title: page.title,
+        description: page.description,
+        location: page.location,
+        timezone: page.timezone,
+        admin_timezone: admin.timezone,
+        slot_interval_minutes: page.slot_interval_minutes,
+        duration_minutes: page.duration_minutes,
+        duration_options: page.duration_options,
+        min_notice_minutes: page.min_notice_minutes,
+        max_days_ahead: page.max_days_ahead,
+        buffer_before_minutes: page.buffer_before_minutes,
+        buffer_after_minutes: page.buffer_after_minutes,
+        max_per_day: page.max_per_day,
+        max_per_week: page.max_per_week,
+        capacity: page.capacity,
+        allow_recurring: Boolean(page.allow_recurring),
+        requires_approval: Boolean(page.requires_approval),
+        admin_max_per_day: admin.max_per_day,
+        admin_max_per_week: admin.max_per_week,
+        availability: availability,
         fields: fields
     };
 }
@@ -74,6 +129,17 @@ router.get('/:adminSlug/:bookingSlug/form', async (req, res) => {
         */
         res.json({
             slug: page.slug,
+            title: page.title || page.slug,
+            description: page.description,
+            location: page.location,
+            timezone: getPageTimezone(page),
+            duration_minutes: page.duration_minutes,
+            duration_options: page.duration_options || [page.duration_minutes],
+            min_notice_minutes: page.min_notice_minutes,
+            max_days_ahead: page.max_days_ahead,
+            capacity: page.capacity,
+            allow_recurring: page.allow_recurring,
+            requires_approval: page.requires_approval,
             fields: [...page.fields],
         });
 
@@ -84,7 +150,7 @@ router.get('/:adminSlug/:bookingSlug/form', async (req, res) => {
 });
 
 
-// @desc    Get all booked time slots for a specific slug
+// @desc    Get all booked time slots for a specific slug (group sessions once they are full)
 // @route   GET /api/public/:adminSlug/:bookingSlug/booked-slots
 // @access  Public
 router.get('/:adminSlug/:bookingSlug/booked-slots', async (req, res) => {
@@ -96,21 +162,44 @@ router.get('/:adminSlug/:bookingSlug/booked-slots', async (req, res) => {
         return res.status(404).json({ message: 'This booking link is not valid.' });
     }
 
-    const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
+    const appDefaultTimezone = getPageTimezone(page);
 
     // The query now uses both admin_id and slug_id to be absolutely specific.
-    const [rows] = await db.query(
-        'SELECT appointment_date FROM appointments WHERE admin_id = ? AND slug_id = ? ORDER BY appointment_date ASC', 
+    const [appointments] = await db.query(
+        'SELECT slug_id, appointment_date, end_date FROM appointments WHERE admin_id = ? AND slug_id = ? ORDER BY appointment_date ASC', 
         [page.admin_id, page.slug_id]
     );
 
+    // A group session is only taken once all of its seats are.
+    const rows = page.capacity > 1
+      ? appointments.filter(row => {
+          const session = { start: new Date(row.appointment_date), end: new Date(row.end_date) };
+          const overlapping = appointments.filter(other => overlapsAny(session, [other]));
+          return getSeatsRemaining(page, session.start, session.end, overlapping) === 0;
+        })
+      : appointments;
+
     const bookedSlots = rows.map(row => 
       formatInTimeZone(row.appointment_date, appDefaultTimezone, 'yyyy-MM-dd HH:mm:ss')
     );
 
+    const bookedIntervals = rows.map(row => ({
+      start: formatInTimeZone(row.appointment_date, appDefaultTimezone, 'yyyy-MM-dd HH:mm:ss'),
+      end: formatInTimeZone(row.end_date, appDefaultTimezone, 'yyyy-MM-dd HH:mm:ss'),
+    }));
+
+    // Upcoming blackouts (vacations, holidays) that apply to this page.
+    const { blackouts } = await getAvailabilityExceptions(db, page.admin_id, page.slug_id, new Date(), new Date('9999-12-31T00:00:00Z'));
+    const blockedIntervals = blackouts.map(blackout => ({
+      start: formatInTimeZone(blackout.start, appDefaultTimezone, 'yyyy-MM-dd HH:mm:ss'),
+      end: formatInTimeZone(blackout.end, appDefaultTimezone, 'yyyy-MM-dd HH:mm:ss'),
+    }));
+
     res.json({
       timezone: appDefaultTimezone,
       bookedSlots: bookedSlots,
+      bookedIntervals: bookedIntervals,
+      blockedIntervals: blockedIntervals,
     });
 
   } catch (error) {
@@ -120,12 +209,126 @@ router.get('/:adminSlug/:bookingSlug/booked-slots', async (req, res) => {
 });
 
 
+// @desc    Get the open (bookable) time slots for a date range
+// @route   GET /api/public/:adminSlug/:bookingSlug/available-slots?from=YYYY-MM-DD&to=YYYY-MM-DD&duration=MINUTES
+// @access  Public
+router.get('/:adminSlug/:bookingSlug/available-slots', async (req, res) => {
+    try {
+        const { adminSlug, bookingSlug } = req.params;
+        const page = await getBookingPageDetails(adminSlug, bookingSlug);
+
+        if (!page) {
+            return res.status(404).json({ message: 'This booking link is not valid.' });
+        }
+
+        const duration = resolveDuration(page, req.query.duration);
+        if (duration === null) {
+            return res.status(400).json({ message: 'The requested duration is not offered on this booking page.' });
+        }
+
+        const timezone = getPageTimezone(page);
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const from = req.query.from || formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd');
+        if (!datePattern.test(from)) {
+            return res.status(400).json({ message: 'from and to must be valid dates (YYYY-MM-DD).' });
+        }
+
+        // Default to a one-week window starting at `from`.
+        const to = req.query.to || addDays(new Date(`${from}T00:00:00Z`), 6).toISOString().slice(0, 10);
+        if (!datePattern.test(to)) {
+            return res.status(400).json({ message: 'from and to must be valid dates (YYYY-MM-DD).' });
+        }
+
+        const dayCount = listDays(from, to).length;
+        if (dayCount === 0 || dayCount > MAX_RANGE_DAYS) {
+            return res.status(400).json({ message: `The date range must cover between 1 and ${MAX_RANGE_DAYS} days.` });
+        }
+
+        // Weekly slots plus those of one-off extra windows, minus anything in a blackout.
+        const rangeStart = fromZonedTime(`${from} 00:00:00`, timezone);
+        const rangeEnd = fromZonedTime(`${addDays(new Date(`${to}T00:00:00Z`), 1).toISOString().slice(0, 10)} 00:00:00`, timezone);
+        const exceptions = await getAvailabilityExceptions(db, page.admin_id, page.slug_id, rangeStart, rangeEnd);
+
+        const slotsByStart = new Map();
+        const weeklySlots = generateSlots(page.availability, timezone, from, to, page.slot_interval_minutes, duration);
+        const extraSlots = generateExtraSlots(exceptions.extras, page.slot_interval_minutes, duration)
+            .filter(slot => slot.start >= rangeStart && slot.start < rangeEnd);
+        for (const slot of [...weeklySlots, ...extraSlots]) {
+            slotsByStart.set(slot.start.getTime(), slot);
+        }
+        const candidates = [...slotsByStart.values()]
+            .sort((a, b) => a.start - b.start)
+            .filter(slot => !overlapsAnyWindow(slot, exceptions.blackouts));
+
+        const now = new Date();
+        let bookable = candidates.filter(slot => !checkBookingWindow(page, slot.start, now));
+
+        // Hide days (and weeks) that have already reached the page's or the admin's caps.
+        if (bookable.length > 0 && getBookingCaps(page).length > 0) {
+            const existing = await listAppointmentsStartingBetween(
+                db,
+                page.admin_id,
+                addDays(bookable[0].start, -8),
+                addDays(bookable[bookable.length - 1].start, 8)
+            );
+            const isCapped = createCapChecker(page, existing);
+            bookable = bookable.filter(slot => !isCapped(slot.start));
+        }
+
+        let openSlots = [];
+        if (bookable.length > 0) {
+            const buffered = bookable.map(slot => ({ slot, interval: getBufferedInterval(page, slot.start, slot.end) }));
+            const bookedStart = buffered[0].interval.start;
+            const bookedEnd = buffered.reduce((latest, { interval }) => (interval.end > latest ? interval.end : latest), bookedStart);
+
+            // Booked time is shared across all of the admin's booking pages; the page's
+            // buffers must be free as well as the slot itself. Group sessions stay open
+            // until all of their seats are taken. Held times (waitlist offers and other
+            // clients' slot holds) count as booked.
+            const booked = [
+                ...await findOverlappingAppointments(db, page.admin_id, bookedStart, bookedEnd),
+                ...await findHeldTimes(db, page.admin_id, bookedStart, bookedEnd),
+            ];
+
+            openSlots = buffered
+                .map(({ slot, interval }) => ({
+                    ...slot,
+                    seatsRemaining: getSeatsRemaining(page, slot.start, slot.end, booked.filter(b => overlapsAny(interval, [b]))),
+                }))
+                .filter(slot => slot.seatsRemaining > 0);
+        }
+
+        res.json({
+            timezone: timezone,
+            from: from,
+            to: to,
+            duration_minutes: duration,
+            capacity: page.capacity,
+            slots: openSlots.map(slot => ({
+                start: formatInTimeZone(slot.start, timezone, 'yyyy-MM-dd HH:mm:ss'),
+                end: formatInTimeZone(slot.end, timezone, 'yyyy-MM-dd HH:mm:ss'),
+                start_utc: slot.start.toISOString(),
+                seats_remaining: slot.seatsRemaining,
+            })),
+        });
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid date range provided.' });
+        }
+        console.error('Error fetching available slots:', error);
+        res.status(500).json({ message: 'Error fetching available slots' });
+    }
+});
+
+
 // @desc    Create a new appointment using a slug
 // @route   POST /api/public/:adminSlug/:bookingSlug/book
 // @access  Public
-router.post('/:adminSlug/:bookingSlug/book', async (req, res) => {
+// Retries sent with the same Idempotency-Key header get the original response back.
+router.post('/:adminSlug/:bookingSlug/book', idempotent(), async (req, res) => {
     const { adminSlug, bookingSlug } = req.params;
-    const { client_name, client_email, appointment_date, client_timezone, details, ...custom_fields } = req.body;
+    const { client_name, client_email, appointment_date, client_timezone, details, duration_minutes, recurrence: recurrenceInput, hold_token, ...custom_fields } = req.body;
     
     const connection = await db.getConnection();
 
@@ -140,69 +343,175 @@ router.post('/:adminSlug/:bookingSlug/book', async (req, res) => {
             connection.release();
             return res.status(400).json({ message: 'Name, email, and date are required.' });
         }
+
+        // A booking can only take a time the client is holding (POST .../hold).
+        if (!hold_token) {
+            return res.status(400).json({ message: 'hold_token is required. Hold the time before booking it.' });
+        }
+
+        // Every custom field is checked against its type and required flag before anything is written.
+        const validation = validateFieldValues(page.fields, custom_fields);
+        const fieldErrors = [
+            ...(isValidEmail(client_email) ? [] : [{ field: 'client_email', message: 'Must be a valid email address.' }]),
+            ...(validation.errors || []),
+        ];
+        if (fieldErrors.length > 0) {
+            return res.status(422).json({ message: 'Some of the submitted fields are invalid.', errors: fieldErrors });
+        }
+
+        const duration = resolveDuration(page, duration_minutes);
+        if (duration === null) {
+            return res.status(400).json({ message: 'The requested duration is not offered on this booking page.' });
+        }
         
+        // Recurring bookings are only accepted on pages that allow them.
+        let recurrence = null;
+        if (recurrenceInput !== undefined && recurrenceInput !== null) {
+            if (!page.allow_recurring) {
+                return res.status(400).json({ message: 'This booking page does not accept recurring bookings.' });
+            }
+            const normalized = normalizeRecurrence(recurrenceInput);
+            if (normalized.error) {
+                return res.status(400).json({ message: normalized.error });
+            }
+            recurrence = normalized.recurrence;
+        }
+
         await connection.beginTransaction();
 
-        const sourceTimezone = client_timezone || process.env.DEFAULT_TIMEZONE;
+        const sourceTimezone = client_timezone || getPageTimezone(page);
         const utcDate = fromZonedTime(appointment_date, sourceTimezone);
-        const dbFormattedDate = format(utcDate, 'yyyy-MM-dd HH:mm:ss');
-        
-        // --- MODIFIED LOGIC ---
-        // The query now checks for any appointment for the admin at the given time,
-        // across ALL of their booking slugs.
-        const [existingAppointments] = await connection.query(
-            'SELECT id FROM appointments WHERE appointment_date = ? AND admin_id = ?', 
-            [dbFormattedDate, page.admin_id] // <-- REMOVED page.slug_id
-        );
+        const utcEndDate = addMinutes(utcDate, duration);
 
-        if (existingAppointments.length > 0) { // <-- Use the new variable name
+        // The admin's schedule is locked before the hold, in the same order as every other change.
+        await lockAdminSchedule(connection, page.admin_id);
+        const holdCheck = await verifyHold(connection, page, hold_token, utcDate, utcEndDate);
+        if (holdCheck.message) {
             await connection.rollback();
-            connection.release(); // Release connection before sending response
-            return res.status(409).json({ message: 'This time slot is already booked for this provider.' });
+            return res.status(holdCheck.status).json({ message: holdCheck.message });
         }
-        // --- END OF MODIFICATION ---
 
-        const apptData = { admin_id: page.admin_id, slug_id: page.slug_id, client_name, client_email, appointment_date: dbFormattedDate, details };
-        const [result] = await connection.query('INSERT INTO appointments SET ?', apptData);
-        const newAppointmentId = result.insertId;
-        
-        // ... (The rest of the function remains the same) ...
-        const customFieldData = [];
-        for (const field of page.fields) {
-            if (custom_fields[field.field_name]) {
-                customFieldData.push([newAppointmentId, field.id, custom_fields[field.field_name]]);
+        // On a page that needs approval the booking is only a request: it holds the time
+        // until the admin answers it or it expires.
+        const approval = page.requires_approval ? createApprovalRequest(utcDate) : null;
+
+        const apptData = {
+            client_name,
+            client_email,
+            client_timezone: sourceTimezone,
+            details,
+            ...(approval && {
+                status: 'pending_approval',
+                approval_token_hash: approval.tokenHash,
+                approval_expires_at: format(approval.expiresAt, 'yyyy-MM-dd HH:mm:ss'),
+            }),
+        };
+
+        // Each booked occurrence as { id, manageToken, appointment }; one unless recurring.
+        let booked;
+        let seriesId = null;
+
+        if (recurrence) {
+            const occurrenceStarts = generateOccurrenceStarts(appointment_date, sourceTimezone, recurrence);
+            if (occurrenceStarts.error) {
+                await connection.rollback();
+                return res.status(400).json({ message: occurrenceStarts.error });
             }
-        }
-        if (customFieldData.length > 0) {
-            await connection.query('INSERT INTO appointment_custom_data (appointment_id, slug_field_id, field_value) VALUES ?', [customFieldData]);
+
+            // Every occurrence must pass the same checks as a single booking.
+            const series = await createSeries(connection, {
+                adminId: page.admin_id,
+                page,
+                appointment: apptData,
+                starts: occurrenceStarts.starts,
+                durationMinutes: duration,
+                recurrence,
+                customFieldAnswers: validation.answers,
+                excludeHoldId: holdCheck.hold.id,
+            });
+            if (series.conflicts) {
+                await connection.rollback();
+                return res.status(409).json({
+                    message: 'Some occurrences of this recurring booking are not available.',
+                    conflicts: series.conflicts,
+                });
+            }
+            booked = series.occurrences;
+            seriesId = series.seriesId;
+        } else {
+            // Reject times outside the weekly rules and any interval that overlaps an existing
+            // appointment for the admin, across ALL of their booking slugs.
+            const slotError = await checkSlotAvailability(connection, page, page.admin_id, utcDate, utcEndDate, { excludeHoldId: holdCheck.hold.id });
+            if (slotError) {
+                await connection.rollback();
+                // A taken time can be waited for instead (POST .../waitlist).
+                return res.status(slotError.status).json({
+                    message: slotError.message,
+                    ...(slotError.status === 409 && { can_join_waitlist: true }),
+                });
+            }
+
+            const appointment = {
+                admin_id: page.admin_id,
+                slug_id: page.slug_id,
+                ...apptData,
+                appointment_date: format(utcDate, 'yyyy-MM-dd HH:mm:ss'),
+                end_date: format(utcEndDate, 'yyyy-MM-dd HH:mm:ss'),
+            };
+            const { id, manageToken } = await insertAppointment(connection, appointment, validation.answers);
+            booked = [{ id, manageToken, appointment: { id, ...appointment, appointment_date: utcDate, end_date: utcEndDate } }];
         }
 
-        const thankYouSendTime = addHours(utcDate, 24);
-        await connection.query(
-            'INSERT INTO thank_you_messages (appointment_id, send_time, message) VALUES (?, ?, ?)',
-            [newAppointmentId, format(thankYouSendTime, 'yyyy-MM-dd HH:mm:ss'), null]
-        );
+        await releaseHold(connection, holdCheck.hold.id);
+
+        const pageDetails = {
+            booking_slug: page.slug,
+            booking_title: page.title,
+            booking_description: page.description,
+            location: page.location,
+        };
+        const createdAppointment = {
+            ...booked[0].appointment,
+            ...pageDetails,
+            manage_links: buildManageLinks(booked[0].manageToken)
+        };
         
+        const customDataForEmail = validation.answers
+            .map(({ field, value }) => ({ name: field.field_name, label: field.field_label, value }));
+
+        // A recurring booking is confirmed in one email listing (and inviting to) every occurrence.
+        // The emails are queued in the booking's transaction, so one is never made without the other.
+        const occurrences = seriesId ? booked.map(b => ({ ...b.appointment, ...pageDetails })) : [];
+        if (approval) {
+            // The client gets their manage links once the request is approved.
+            await sendApprovalRequestEmails(createdAppointment, sourceTimezone, page.notification_email, customDataForEmail, {
+                occurrences,
+                approvalLinks: buildApprovalLinks(approval.token),
+                approvalDeadline: approval.expiresAt,
+                connection,
+            });
+        } else {
+            await sendBookingEmails(createdAppointment, sourceTimezone, page.notification_email, customDataForEmail, { occurrences, connection });
+        }
+
         await connection.commit();
 
-        const createdAppointment = { id: newAppointmentId, ...apptData, appointment_date: utcDate };
-        
-        const customDataForEmail = {};
-        page.fields.forEach(f => {
-            if (custom_fields[f.field_name]) {
-                customDataForEmail[f.field_label] = custom_fields[f.field_name];
-            }
+        res.status(201).json({
+            message: approval
+                ? 'Your booking request has been sent and is waiting for approval.'
+                : 'Appointment created successfully!',
+            status: approval ? 'pending_approval' : 'confirmed',
+            ...(seriesId && { series_id: seriesId, occurrences: booked.length }),
         });
-        
-        sendBookingEmails(createdAppointment, sourceTimezone, page.notification_email, customDataForEmail).catch(console.error);
-
-        res.status(201).json({ message: 'Appointment created successfully!' });
 
     } catch (error) {
         if(connection) await connection.rollback();
         if (error instanceof RangeError) {
             return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
         }
+        if (isScheduleConflict(error)) {
+            return res.status(409).json({ message: 'This time slot has just been booked by someone else.' });
+        }
         console.error(error);
         res.status(500).json({ message: 'Error creating appointment' });
     } finally {
@@ -210,4 +519,189 @@ router.post('/:adminSlug/:bookingSlug/book', async (req, res) => {
     }
 });
 
+// @desc    Hold a time for a few minutes while the client fills in the booking form
+// @route   POST /api/public/:adminSlug/:bookingSlug/hold
+// @access  Public
+router.post('/:adminSlug/:bookingSlug/hold', async (req, res) => {
+    const { adminSlug, bookingSlug } = req.params;
+    const { appointment_date, client_timezone, duration_minutes } = req.body;
+
+    if (!appointment_date) {
+        return res.status(400).json({ message: 'appointment_date is required.' });
+    }
+
+    const connection = await db.getConnection();
+
+    try {
+        const page = await getBookingPageDetails(adminSlug, bookingSlug);
+        if (!page) {
+            return res.status(404).json({ message: 'This booking link is not valid.' });
+        }
+
+        const duration = resolveDuration(page, duration_minutes);
+        if (duration === null) {
+            return res.status(400).json({ message: 'The requested duration is not offered on this booking page.' });
+        }
+
+        const sourceTimezone = client_timezone || getPageTimezone(page);
+        const start = fromZonedTime(appointment_date, sourceTimezone);
+        const end = addMinutes(start, duration);
+
+        await connection.beginTransaction();
+
+        // A hold needs the same free time as a booking, so it is checked the same way.
+        const slotError = await checkSlotAvailability(connection, page, page.admin_id, start, end);
+        if (slotError) {
+            await connection.rollback();
+            return res.status(slotError.status).json({
+                message: slotError.message,
+                ...(slotError.status === 409 && { can_join_waitlist: true }),
+            });
+        }
+
+        const limitError = await checkHoldLimits(connection, page, req.ip);
+        if (limitError) {
+            await connection.rollback();
+            return res.status(limitError.status).json({ message: limitError.message });
+        }
+
+        const { token, expiresAt } = await createHold(connection, page, start, end, req.ip);
+        await connection.commit();
+
+        res.status(201).json({
+            message: 'The time is held for you. Complete your booking before the hold expires.',
+            hold_token: token,
+            expires_at: expiresAt.toISOString(),
+            timezone: sourceTimezone,
+            appointment_date: formatInTimeZone(start, sourceTimezone, 'yyyy-MM-dd HH:mm:ss'),
+            end_date: formatInTimeZone(end, sourceTimezone, 'yyyy-MM-dd HH:mm:ss'),
+            duration_minutes: duration,
+        });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        console.error('Error holding time slot:', error);
+        res.status(500).json({ message: 'Error holding time slot' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// @desc    Let a held time go before the hold expires
+// @route   DELETE /api/public/:adminSlug/:bookingSlug/hold/:holdToken
+// @access  Public (token)
+router.delete('/:adminSlug/:bookingSlug/hold/:holdToken', async (req, res) => {
+    try {
+        const { adminSlug, bookingSlug, holdToken } = req.params;
+        const page = await getBookingPageDetails(adminSlug, bookingSlug);
+        if (!page) {
+            return res.status(404).json({ message: 'This booking link is not valid.' });
+        }
+
+        const [result] = await db.query(
+            'DELETE FROM slot_holds WHERE hold_token_hash = ? AND slug_id = ?',
+            [hashToken(holdToken), page.slug_id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Hold not found or already expired.' });
+        }
+
+        res.json({ message: 'The held time has been released.' });
+
+    } catch (error) {
+        console.error('Error releasing held time slot:', error);
+        res.status(500).json({ message: 'Error releasing held time slot' });
+    }
+});
+
+// @desc    Join the waitlist for a taken time (appointment_date) or for any time on a day (date)
+// @route   POST /api/public/:adminSlug/:bookingSlug/waitlist
+// @access  Public
+router.post('/:adminSlug/:bookingSlug/waitlist', async (req, res) => {
+    const { adminSlug, bookingSlug } = req.params;
+    const { client_name, client_email, appointment_date, date, client_timezone, details, duration_minutes, ...custom_fields } = req.body;
+
+    try {
+        const page = await getBookingPageDetails(adminSlug, bookingSlug);
+        if (!page) {
+            return res.status(404).json({ message: 'This booking link is not valid.' });
+        }
+
+        if (!client_name || !client_email || (!appointment_date === !date)) {
+            return res.status(400).json({ message: 'Name, email, and either appointment_date or date are required.' });
+        }
+        if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ message: 'date must be a valid date (YYYY-MM-DD).' });
+        }
+        // Stored with the entry and used for the offer email and the booking it turns into.
+        if (client_timezone !== undefined && client_timezone !== null && !isValidTimezone(client_timezone)) {
+            return res.status(400).json({ message: 'client_timezone must be a valid IANA timezone name (e.g. "Africa/Lagos").' });
+        }
+
+        // The same checks as a booking, so the answers can be used when a time is claimed.
+        const validation = validateFieldValues(page.fields, custom_fields);
+        const fieldErrors = [
+            ...(isValidEmail(client_email) ? [] : [{ field: 'client_email', message: 'Must be a valid email address.' }]),
+            ...(validation.errors || []),
+        ];
+        if (fieldErrors.length > 0) {
+            return res.status(422).json({ message: 'Some of the submitted fields are invalid.', errors: fieldErrors });
+        }
+
+        const duration = resolveDuration(page, duration_minutes);
+        if (duration === null) {
+            return res.status(400).json({ message: 'The requested duration is not offered on this booking page.' });
+        }
+
+        const pageTimezone = getPageTimezone(page);
+        const sourceTimezone = client_timezone || pageTimezone;
+        let desiredStart = null;
+        if (appointment_date) {
+            desiredStart = fromZonedTime(appointment_date, sourceTimezone);
+            if (isNaN(desiredStart.getTime()) || desiredStart <= new Date()) {
+                return res.status(400).json({ message: 'appointment_date must be a valid time in the future.' });
+            }
+        } else if (date < formatInTimeZone(new Date(), pageTimezone, 'yyyy-MM-dd')) {
+            return res.status(400).json({ message: 'date must be today or later.' });
+        }
+
+        const desired = desiredStart
+            ? { desired_start: format(desiredStart, 'yyyy-MM-dd HH:mm:ss'), desired_day: null }
+            : { desired_start: null, desired_day: date };
+
+        const [existing] = await db.query(
+            `SELECT id FROM waitlist_entries
+            WHERE slug_id = ? AND client_email = ? AND status IN ('waiting', 'offered') AND desired_start <=> ? AND desired_day <=> ?`,
+            [page.slug_id, client_email, desired.desired_start, desired.desired_day]
+        );
+        if (existing.length > 0) {
+            return res.status(409).json({ message: 'You are already on the waitlist for this time.' });
+        }
+
+        await db.query('INSERT INTO waitlist_entries SET ?', {
+            admin_id: page.admin_id,
+            slug_id: page.slug_id,
+            client_name,
+            client_email,
+            client_timezone: sourceTimezone,
+            details: details || null,
+            custom_data: JSON.stringify(validation.answers.map(({ field, value }) => ({ field_id: field.id, value }))),
+            duration_minutes: duration,
+            ...desired,
+        });
+
+        res.status(201).json({ message: 'You have been added to the waitlist. We will email you if a time opens up.' });
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({ message: 'Error joining waitlist' });
+    }
+});
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/db');
 const { fromZonedTime, format } = require('date-fns-tz');
+const { resolveTimezone } = require('../utils/timezone');
 
 const router = express.Router({ mergeParams: true });
 
@@ -29,7 +30,7 @@ router.post('/', async (req, res) => {
             return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
-        const sourceTimezone = client_timezone || process.env.DEFAULT_TIMEZONE;
+        const sourceTimezone = client_timezone || resolveTimezone(req.admin.timezone);
         const utcReminderTime = fromZonedTime(reminder_time, sourceTimezone);
         
         if (utcReminderTime >= appointment.appointment_date) {
@@ -39,7 +40,7 @@ router.post('/', async (req, res) => {
         const dbFormattedReminderTime = format(utcReminderTime, 'yyyy-MM-dd HH:mm:ss');
         
         const [result] = await db.query(
-            'INSERT INTO reminders (appointment_id, reminder_time, message) VALUES (?, ?, ?)',
+            'INSERT INTO reminders (appointment_id, reminder_time, message, is_manual) VALUES (?, ?, ?, 1)',
             [appointmentId, dbFormattedReminderTime, message || null]
         );
 
@@ -48,6 +49,7 @@ router.post('/', async (req, res) => {
             appointment_id: parseInt(appointmentId, 10),
             reminder_time: dbFormattedReminderTime,
             message: message || null,
+            is_manual: 1,
             status: 'pending'
         });
 
@@ -72,7 +74,7 @@ router.get('/', async (req, res) => {
         }
 
         const [reminders] = await db.query(
-            'SELECT * FROM reminders WHERE appointment_id = ? ORDER BY reminder_time ASC',
+            "SELECT * FROM reminders WHERE appointment_id = ? AND status <> 'deleted' ORDER BY reminder_time ASC",
             [appointmentId]
         );
         
@@ -104,7 +106,7 @@ router.put('/:reminderId', async (req, res) => {
         const updateValues = [];
 
         if (reminder_time) {
-            const sourceTimezone = client_timezone || process.env.DEFAULT_TIMEZONE;
+            const sourceTimezone = client_timezone || resolveTimezone(req.admin.timezone);
             const utcReminderTime = fromZonedTime(reminder_time, sourceTimezone);
             if (utcReminderTime >= appointment.appointment_date) {
                 return res.status(400).json({ message: 'Reminder time must be set before the appointment time.' });
@@ -118,8 +120,12 @@ router.put('/:reminderId', async (req, res) => {
             updateValues.push(message);
         }
 
+        // An edited default reminder becomes the admin's own, so it is no longer replaced
+        // when the booking moves or the page's reminder rules change.
+        updateFields.push('is_manual = 1');
+
         const [result] = await db.query(
-            `UPDATE reminders SET ${updateFields.join(', ')} WHERE id = ? AND appointment_id = ?`,
+            `UPDATE reminders SET ${updateFields.join(', ')} WHERE id = ? AND appointment_id = ? AND status <> 'deleted'`,
             [...updateValues, reminderId, appointmentId]
         );
 
@@ -152,13 +158,15 @@ router.delete('/:reminderId', async (req, res) => {
             return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
+        // The reminder is marked deleted rather than removed, so a default reminder is not
+        // made again when the booking moves. Sent reminders stay as history.
         const [result] = await db.query(
-            'DELETE FROM reminders WHERE id = ? AND appointment_id = ?',
+            "UPDATE reminders SET status = 'deleted' WHERE id = ? AND appointment_id = ? AND status = 'pending'",
             [reminderId, appointmentId]
         );
 
         if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Reminder not found for this appointment.' });
+            return res.status(404).json({ message: 'No pending reminder with this id was found for this appointment.' });
         }
 
         res.json({ message: 'Reminder deleted successfully.' });
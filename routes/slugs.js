@@ -1,18 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
+const {
+    normalizeAvailabilityRules,
+    getAvailabilityRules,
+    normalizeDurationSettings,
+    normalizeBookingLimits,
+    normalizeBookingCaps,
+} = require('../services/availabilityService');
+const { normalizePageDetails } = require('../services/bookingPageService');
+const { isValidTimezone, resolveTimezone } = require('../utils/timezone');
+const { normalizeFieldDefinitions, saveSlugFields } = require('../services/formFieldService');
+const { normalizeReminderRules, getReminderRules, saveReminderRules } = require('../services/reminderRuleService');
+const { normalizeFollowupSteps, getFollowupSequence, saveFollowupSequence } = require('../services/followupService');
+
+// Collects the optional page settings (title, description, location, notice window,
+// buffers, booking caps, whether recurring bookings are allowed and whether bookings need
+// the admin's approval) present in a request body. Returns { settings } or { error }.
+function normalizePageSettings(body) {
+    const details = normalizePageDetails(body);
+    if (details.error) return { error: details.error };
+
+    const limits = normalizeBookingLimits(body);
+    if (limits.error) return { error: limits.error };
+
+    const caps = normalizeBookingCaps(body);
+    if (caps.error) return { error: caps.error };
+
+    const settings = { ...details.details, ...limits.limits, ...caps.caps };
+    for (const option of ['allow_recurring', 'requires_approval']) {
+        if (body[option] !== undefined) {
+            if (typeof body[option] !== 'boolean') {
+                return { error: `${option} must be true or false.` };
+            }
+            settings[option] = body[option];
+        }
+    }
+
+    return { settings };
+}
 
 // @desc    Create a new slug with custom fields
 // @route   POST /api/slugs
 // @access  Protected
 router.post('/', async (req, res) => {
     const adminId = req.admin.id;
-    const { slug, fields } = req.body;
+    const { slug, fields, duration_minutes = 30, duration_options = null } = req.body;
 
     if (!slug || !/^[a-z0-9-]+$/.test(slug)) {
         return res.status(400).json({ message: 'Slug is required and can only contain lowercase letters, numbers, and hyphens.' });
     }
 
+    const durations = normalizeDurationSettings(duration_minutes, duration_options);
+    if (durations.error) {
+        return res.status(400).json({ message: durations.error });
+    }
+
+    const fieldDefinitions = normalizeFieldDefinitions(fields);
+    if (fieldDefinitions.error) {
+        return res.status(400).json({ message: fieldDefinitions.error });
+    }
+
+    const pageSettings = normalizePageSettings(req.body);
+    if (pageSettings.error) {
+        return res.status(400).json({ message: pageSettings.error });
+    }
+
     const connection = await db.getConnection();
     try {
         await connection.beginTransaction();
@@ -25,14 +78,17 @@ router.post('/', async (req, res) => {
         }
 
         // Create the slug
-        const [result] = await connection.query('INSERT INTO slugs (admin_id, slug) VALUES (?, ?)', [adminId, slug]);
+        const [result] = await connection.query('INSERT INTO slugs SET ?', {
+            admin_id: adminId,
+            slug,
+            duration_minutes: durations.duration_minutes,
+            duration_options: durations.duration_options && JSON.stringify(durations.duration_options),
+            ...pageSettings.settings,
+        });
         const slugId = result.insertId;
 
         // Add the custom fields
-        if (fields && fields.length > 0) {
-            const fieldValues = fields.map(f => [slugId, f.field_name, f.field_label, f.field_type || 'text', f.is_required || false]);
-            await connection.query('INSERT INTO slug_fields (slug_id, field_name, field_label, field_type, is_required) VALUES ?', [fieldValues]);
-        }
+        await saveSlugFields(connection, slugId, fieldDefinitions.fields.map(f => ({ ...f, id: null })));
 
         await connection.commit();
         res.status(201).json({ message: 'Booking page created successfully.', slugId, slug });
@@ -52,7 +108,7 @@ router.post('/', async (req, res) => {
 router.get('/', async (req, res) => {
     const adminId = req.admin.id;
     try {
-        const [slugs] = await db.query('SELECT id, slug, created_at FROM slugs WHERE admin_id = ?', [adminId]);
+        const [slugs] = await db.query('SELECT id, slug, title, duration_minutes, duration_options, created_at FROM slugs WHERE admin_id = ?', [adminId]);
         res.json(slugs);
     } catch (error) {
         console.error('Error fetching slugs:', error);
@@ -73,9 +129,22 @@ router.get('/:slugId', async (req, res) => {
             return res.status(404).json({ message: 'Booking page not found.' });
         }
 
-        const [fields] = await db.query('SELECT id, field_name, field_label, field_type, is_required FROM slug_fields WHERE slug_id = ?', [slugId]);
-        
-        res.json({ ...slugs[0], fields });
+        const [allFields] = await db.query(
+            'SELECT id, field_name, field_label, field_type, is_required, settings, position, retired_at FROM slug_fields WHERE slug_id = ? ORDER BY position ASC, id ASC',
+            [slugId]
+        );
+        const availability = await getAvailabilityRules(slugId);
+        const reminderRules = await getReminderRules(slugId);
+        const followups = await getFollowupSequence(slugId);
+
+        res.json({
+            ...slugs[0],
+            fields: allFields.filter(f => !f.retired_at),
+            retired_fields: allFields.filter(f => f.retired_at),
+            availability,
+            reminder_rules: reminderRules,
+            followup_steps: followups.steps,
+        });
 
     } catch (error) {
         console.error('Error fetching slug details:', error);
@@ -83,28 +152,266 @@ router.get('/:slugId', async (req, res) => {
     }
 });
 
+// @desc    Get the weekly availability rules for a booking page
+// @route   GET /api/slugs/:slugId/availability
+// @access  Protected
+router.get('/:slugId/availability', async (req, res) => {
+    const adminId = req.admin.id;
+    const { slugId } = req.params;
+
+    try {
+        const [slugs] = await db.query(
+            'SELECT id, timezone, slot_interval_minutes FROM slugs WHERE id = ? AND admin_id = ?',
+            [slugId, adminId]
+        );
+        if (slugs.length === 0) {
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        const rules = await getAvailabilityRules(slugId);
+
+        res.json({
+            timezone: resolveTimezone(slugs[0].timezone, req.admin.timezone),
+            timezone_override: slugs[0].timezone,
+            slot_interval_minutes: slugs[0].slot_interval_minutes,
+            rules,
+        });
+
+    } catch (error) {
+        console.error('Error fetching availability:', error);
+        res.status(500).json({ message: 'Server error fetching availability.' });
+    }
+});
+
+// @desc    Replace the weekly availability rules for a booking page
+// @route   PUT /api/slugs/:slugId/availability
+// @access  Protected
+router.put('/:slugId/availability', async (req, res) => {
+    const adminId = req.admin.id;
+    const { slugId } = req.params;
+    const { timezone, slot_interval_minutes, rules } = req.body;
+
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+        return res.status(400).json({ message: 'timezone must be a valid IANA timezone name (e.g. "Africa/Lagos").' });
+    }
+
+    const interval = slot_interval_minutes === undefined ? undefined : Number(slot_interval_minutes);
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < 5 || interval > 1440)) {
+        return res.status(400).json({ message: 'slot_interval_minutes must be a whole number between 5 and 1440.' });
+    }
+
+    const normalized = normalizeAvailabilityRules(rules);
+    if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+    }
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [slugs] = await connection.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
+        if (slugs.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        if (timezone !== undefined) {
+            await connection.query('UPDATE slugs SET timezone = ? WHERE id = ?', [timezone, slugId]);
+        }
+        if (interval !== undefined) {
+            await connection.query('UPDATE slugs SET slot_interval_minutes = ? WHERE id = ?', [interval, slugId]);
+        }
+
+        await connection.query('DELETE FROM slug_availability WHERE slug_id = ?', [slugId]);
+        if (normalized.rules.length > 0) {
+            const ruleValues = normalized.rules.map(r => [slugId, r.weekday, r.start_time, r.end_time]);
+            await connection.query('INSERT INTO slug_availability (slug_id, weekday, start_time, end_time) VALUES ?', [ruleValues]);
+        }
+
+        await connection.commit();
+        res.json({ message: 'Availability updated successfully.', rules: normalized.rules });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error updating availability:', error);
+        res.status(500).json({ message: 'Server error while updating availability.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// @desc    Get the default reminders sent before every booking on a page
+// @route   GET /api/slugs/:slugId/reminder-rules
+// @access  Protected
+router.get('/:slugId/reminder-rules', async (req, res) => {
+    const adminId = req.admin.id;
+    const { slugId } = req.params;
+
+    try {
+        const [slugs] = await db.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
+        if (slugs.length === 0) {
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        const rules = await getReminderRules(slugId);
+        res.json({ rules });
+
+    } catch (error) {
+        console.error('Error fetching reminder rules:', error);
+        res.status(500).json({ message: 'Server error fetching reminder rules.' });
+    }
+});
+
+// @desc    Replace the default reminders of a booking page. Upcoming bookings get the new
+//          reminders in place of the old ones; reminders added by hand are kept.
+// @route   PUT /api/slugs/:slugId/reminder-rules
+// @access  Protected
+router.put('/:slugId/reminder-rules', async (req, res) => {
+    const adminId = req.admin.id;
+    const { slugId } = req.params;
+
+    const normalized = normalizeReminderRules(req.body.rules);
+    if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+    }
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [slugs] = await connection.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ? FOR UPDATE', [slugId, adminId]);
+        if (slugs.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        await saveReminderRules(connection, slugId, normalized.rules);
+        const rules = await getReminderRules(slugId, connection);
+
+        await connection.commit();
+        res.json({ message: 'Reminder rules updated successfully.', rules });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error updating reminder rules:', error);
+        res.status(500).json({ message: 'Server error while updating reminder rules.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// @desc    Get the follow-up messages sent after every booking on a page
+// @route   GET /api/slugs/:slugId/followups
+// @access  Protected
+router.get('/:slugId/followups', async (req, res) => {
+    const adminId = req.admin.id;
+    const { slugId } = req.params;
+
+    try {
+        const [slugs] = await db.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
+        if (slugs.length === 0) {
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        const sequence = await getFollowupSequence(slugId);
+        res.json(sequence);
+
+    } catch (error) {
+        console.error('Error fetching follow-up sequence:', error);
+        res.status(500).json({ message: 'Server error fetching follow-up sequence.' });
+    }
+});
+
+// @desc    Replace the follow-up sequence of a booking page and/or turn follow-ups on or off.
+//          With no steps, a single thank-you message is sent a day after each meeting.
+//          Upcoming bookings get the new sequence; messages edited by hand are kept.
+// @route   PUT /api/slugs/:slugId/followups
+// @access  Protected
+router.put('/:slugId/followups', async (req, res) => {
+    const adminId = req.admin.id;
+    const { slugId } = req.params;
+    const { enabled, steps } = req.body;
+
+    if (enabled === undefined && steps === undefined) {
+        return res.status(400).json({ message: 'Either enabled or steps must be provided.' });
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: 'enabled must be true or false.' });
+    }
+
+    const normalized = steps === undefined ? { steps: undefined } : normalizeFollowupSteps(steps);
+    if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+    }
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [slugs] = await connection.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ? FOR UPDATE', [slugId, adminId]);
+        if (slugs.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        await saveFollowupSequence(connection, slugId, { enabled, steps: normalized.steps });
+        const sequence = await getFollowupSequence(slugId, connection);
+
+        await connection.commit();
+        res.json({ message: 'Follow-up sequence updated successfully.', ...sequence });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Error updating follow-up sequence:', error);
+        res.status(500).json({ message: 'Server error while updating follow-up sequence.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
 // @desc    Update a slug and its fields
 // @route   PUT /api/slugs/:slugId
 // @access  Protected
 router.put('/:slugId', async (req, res) => {
     const adminId = req.admin.id;
     const { slugId } = req.params;
-    const { slug, fields } = req.body;
+    const { slug, fields, duration_minutes, duration_options } = req.body;
 
     if (!slug || !/^[a-z0-9-]+$/.test(slug)) {
         return res.status(400).json({ message: 'Slug is required and must be valid.' });
     }
 
+    const fieldDefinitions = normalizeFieldDefinitions(fields);
+    if (fieldDefinitions.error) {
+        return res.status(400).json({ message: fieldDefinitions.error });
+    }
+
+    // Like durations, page settings left out of the body keep their current values.
+    const pageSettings = normalizePageSettings(req.body);
+    if (pageSettings.error) {
+        return res.status(400).json({ message: pageSettings.error });
+    }
+
     const connection = await db.getConnection();
     try {
         await connection.beginTransaction();
 
         // Check ownership and if new slug name is available
-        const [slugs] = await connection.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
+        const [slugs] = await connection.query('SELECT id, duration_minutes, duration_options FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
         if (slugs.length === 0) {
             await connection.rollback();
             return res.status(404).json({ message: 'Booking page not found.' });
         }
+
+        // Duration settings are only changed when provided; missing values keep their current setting.
+        const durations = normalizeDurationSettings(
+            duration_minutes !== undefined ? duration_minutes : slugs[0].duration_minutes,
+            duration_options !== undefined ? duration_options : slugs[0].duration_options
+        );
+        if (durations.error) {
+            await connection.rollback();
+            return res.status(400).json({ message: durations.error });
+        }
         
         const [existing] = await connection.query('SELECT id FROM slugs WHERE admin_id = ? AND slug = ? AND id != ?', [adminId, slug, slugId]);
         if (existing.length > 0) {
@@ -113,13 +420,21 @@ router.put('/:slugId', async (req, res) => {
         }
 
         // Update slug
-        await connection.query('UPDATE slugs SET slug = ? WHERE id = ?', [slug, slugId]);
+        await connection.query('UPDATE slugs SET ? WHERE id = ?', [{
+            slug,
+            duration_minutes: durations.duration_minutes,
+            duration_options: durations.duration_options && JSON.stringify(durations.duration_options),
+            ...pageSettings.settings,
+        }, slugId]);
 
-        // Easiest way to update fields is to delete old and insert new
-        await connection.query('DELETE FROM slug_fields WHERE slug_id = ?', [slugId]);
-        if (fields && fields.length > 0) {
-            const fieldValues = fields.map(f => [slugId, f.field_name, f.field_label, f.field_type || 'text', f.is_required || false]);
-            await connection.query('INSERT INTO slug_fields (slug_id, field_name, field_label, field_type, is_required) VALUES ?', [fieldValues]);
+        // Fields are updated in place (never deleted) so past answers stay linked to them.
+        // Leaving `fields` out keeps them as they are; fields missing from the list are retired.
+        if (fields !== undefined) {
+            const saved = await saveSlugFields(connection, slugId, fieldDefinitions.fields);
+            if (saved.error) {
+                await connection.rollback();
+                return res.status(400).json({ message: saved.error });
+            }
         }
 
         await connection.commit();
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const {
+    TEMPLATE_KINDS,
+    DEFAULT_TEMPLATES,
+    PLACEHOLDERS,
+    renderTemplate,
+    getTemplate,
+    getAppointmentCustomFields,
+    getBookingPageContext,
+    buildAppointmentContext,
+} = require('../services/templateService');
+const { buildManageLinks } = require('../services/appointmentService');
+const { buildApprovalLinks } = require('../services/approvalService');
+
+// Verifies that a booking page belongs to the admin. A missing slugId means "all pages".
+async function slugBelongsToAdmin(slugId, adminId) {
+    if (!slugId) return true;
+    const [slugs] = await db.query('SELECT id FROM slugs WHERE id = ? AND admin_id = ?', [slugId, adminId]);
+    return slugs.length > 0;
+}
+
+// @desc    List the admin's template overrides, with the kinds and placeholders available
+// @route   GET /api/templates
+// @access  Protected
+router.get('/', async (req, res) => {
+    try {
+        const [templates] = await db.query(
+            'SELECT id, slug_id, kind, subject, body_html, updated_at FROM email_templates WHERE admin_id = ? ORDER BY kind ASC, slug_id ASC',
+            [req.admin.id]
+        );
+        res.json({ kinds: TEMPLATE_KINDS, placeholders: PLACEHOLDERS, templates });
+    } catch (error) {
+        console.error('Error fetching email templates:', error);
+        res.status(500).json({ message: 'Server error fetching email templates.' });
+    }
+});
+
+// @desc    Get the built-in default templates
+// @route   GET /api/templates/defaults
+// @access  Protected
+router.get('/defaults', (req, res) => {
+    res.json(DEFAULT_TEMPLATES);
+});
+
+// @desc    Render a template against sample data or one of the admin's appointments
+// @route   POST /api/templates/preview
+// @access  Protected
+router.post('/preview', async (req, res) => {
+    const adminId = req.admin.id;
+    const { kind, slug_id, appointment_id, subject, body_html } = req.body;
+
+    if (!TEMPLATE_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `kind must be one of: ${TEMPLATE_KINDS.join(', ')}.` });
+    }
+    if ((subject !== undefined && typeof subject !== 'string') || (body_html !== undefined && typeof body_html !== 'string')) {
+        return res.status(400).json({ message: 'subject and body_html must be text.' });
+    }
+
+    try {
+        if (!(await slugBelongsToAdmin(slug_id, adminId))) {
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        let appointment;
+        let customFields;
+
+        if (appointment_id) {
+            const [rows] = await db.query(
+                `SELECT a.*, s.slug AS booking_slug FROM appointments a
+                LEFT JOIN slugs s ON a.slug_id = s.id
+                WHERE a.id = ? AND a.admin_id = ?`,
+                [appointment_id, adminId]
+            );
+            if (rows.length === 0) {
+                return res.status(404).json({ message: 'Appointment not found or you do not have permission to view it.' });
+            }
+            appointment = rows[0];
+            customFields = await getAppointmentCustomFields(appointment.id);
+        } else {
+            const [fields] = slug_id
+                ? await db.query('SELECT field_name, field_label FROM slug_fields WHERE slug_id = ? AND retired_at IS NULL ORDER BY position ASC', [slug_id])
+                : [[{ field_name: 'company', field_label: 'Company' }]];
+
+            appointment = {
+                admin_id: adminId,
+                slug_id: slug_id || null,
+                client_name: 'Jane Doe',
+                client_email: 'jane.doe@example.com',
+                appointment_date: new Date(Date.now() + 24 * 60 * 60 * 1000),
+                details: 'Introductory call',
+                booking_slug: 'sample-page',
+            };
+            customFields = fields.map(f => ({ name: f.field_name, label: f.field_label, value: `Sample ${f.field_label}` }));
+        }
+
+        // Unsaved edits are previewed as sent; otherwise use whatever would be sent today.
+        const template = subject !== undefined || body_html !== undefined
+            ? { ...DEFAULT_TEMPLATES[kind], ...(subject !== undefined && { subject }), ...(body_html !== undefined && { body_html }) }
+            : await getTemplate(kind, adminId, slug_id || appointment.slug_id);
+
+        const context = buildAppointmentContext(appointment, {
+            ...(await getBookingPageContext(adminId, appointment.slug_id)),
+            customFields,
+            message: 'This is a sample custom message.',
+            manageLinks: buildManageLinks('sample-token'),
+            previousDate: new Date(new Date(appointment.appointment_date).getTime() - 24 * 60 * 60 * 1000),
+            claimLink: `${process.env.FRONTEND_URL}/waitlist/sample-token`,
+            claimDeadline: new Date(Date.now() + 2 * 60 * 60 * 1000),
+            approvalLinks: buildApprovalLinks('sample-token'),
+            approvalDeadline: new Date(Date.now() + 48 * 60 * 60 * 1000),
+        });
+
+        res.json(renderTemplate(template, context));
+
+    } catch (error) {
+        console.error('Error previewing email template:', error);
+        res.status(500).json({ message: 'Server error while previewing email template.' });
+    }
+});
+
+// @desc    Create or replace the template override for a kind (optionally for one booking page)
+// @route   PUT /api/templates/:kind
+// @access  Protected
+router.put('/:kind', async (req, res) => {
+    const adminId = req.admin.id;
+    const { kind } = req.params;
+    const { slug_id = null, subject, body_html } = req.body;
+
+    if (!TEMPLATE_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `kind must be one of: ${TEMPLATE_KINDS.join(', ')}.` });
+    }
+    if (!subject || !body_html) {
+        return res.status(400).json({ message: 'subject and body_html are required.' });
+    }
+    if (typeof subject !== 'string' || typeof body_html !== 'string') {
+        return res.status(400).json({ message: 'subject and body_html must be text.' });
+    }
+    if (subject.length > 255) {
+        return res.status(400).json({ message: 'subject must be 255 characters or fewer.' });
+    }
+
+    try {
+        if (!(await slugBelongsToAdmin(slug_id, adminId))) {
+            return res.status(404).json({ message: 'Booking page not found.' });
+        }
+
+        const [existing] = await db.query(
+            'SELECT id FROM email_templates WHERE admin_id = ? AND kind = ? AND slug_id <=> ?',
+            [adminId, kind, slug_id]
+        );
+
+        if (existing.length > 0) {
+            await db.query('UPDATE email_templates SET subject = ?, body_html = ? WHERE id = ?', [subject, body_html, existing[0].id]);
+        } else {
+            await db.query(
+                'INSERT INTO email_templates (admin_id, slug_id, kind, subject, body_html) VALUES (?, ?, ?, ?, ?)',
+                [adminId, slug_id, kind, subject, body_html]
+            );
+        }
+
+        res.json({ message: 'Email template saved successfully.' });
+
+    } catch (error) {
+        console.error('Error saving email template:', error);
+        res.status(500).json({ message: 'Server error while saving email template.' });
+    }
+});
+
+// @desc    Remove a template override so the default (or admin-wide) template is used again
+// @route   DELETE /api/templates/:kind?slug_id=
+// @access  Protected
+router.delete('/:kind', async (req, res) => {
+    const adminId = req.admin.id;
+    const { kind } = req.params;
+    const slugId = req.query.slug_id || null;
+
+    try {
+        const [result] = await db.query(
+            'DELETE FROM email_templates WHERE admin_id = ? AND kind = ? AND slug_id <=> ?',
+            [adminId, kind, slugId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'No custom template found to delete.' });
+        }
+
+        res.json({ message: 'Custom template deleted. The default template will be used.' });
+
+    } catch (error) {
+        console.error('Error deleting email template:', error);
+        res.status(500).json({ message: 'Server error while deleting email template.' });
+    }
+});
+
+module.exports = router;
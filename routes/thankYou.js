@@ -1,20 +1,104 @@
 const express = require('express');
 const db = require('../config/db');
 const { fromZonedTime, format } = require('date-fns-tz');
+const { resolveTimezone } = require('../utils/timezone');
 
 // Use mergeParams to access :appointmentId from the parent router
 const router = express.Router({ mergeParams: true });
 
+// An appointment's follow-ups are the messages of its booking page's follow-up sequence
+// (or the default thank-you message), plus any the admin adds. The /messages routes work on
+// each of them; the routes on / keep working on the appointment's first message as before.
+// Messages added or edited here are marked is_manual, so they are kept when the booking
+// moves or the page's sequence changes. A deleted message is kept with status 'deleted', so
+// the sequence does not make it again.
+
 // Helper to get an appointment AND verify it belongs to the logged-in admin
 async function getAppointmentAndVerifyOwner(appointmentId, adminId) {
     const [rows] = await db.query(
-        'SELECT * FROM appointments WHERE id = ? AND admin_id = ?', 
+        'SELECT * FROM appointments WHERE id = ? AND admin_id = ?',
         [appointmentId, adminId]
     );
     return rows[0];
 }
 
-// @desc    Get the thank you message details for an appointment
+// Converts a send time from the request to UTC for the database. It must be after the
+// appointment starts. Returns { value } or { error }; throws RangeError for a bad timezone or date.
+function parseSendTime(sendTime, clientTimezone, admin, appointment) {
+    const sourceTimezone = clientTimezone || resolveTimezone(admin.timezone);
+    const utcSendTime = fromZonedTime(sendTime, sourceTimezone);
+
+    if (utcSendTime <= new Date(appointment.appointment_date)) {
+        return { error: 'Thank you message send time must be after the appointment time.' };
+    }
+    return { value: format(utcSendTime, 'yyyy-MM-dd HH:mm:ss') };
+}
+
+// Returns the appointment's first follow-up message that has not been deleted, if any.
+async function getFirstMessage(appointmentId) {
+    const [rows] = await db.query(
+        "SELECT * FROM thank_you_messages WHERE appointment_id = ? AND status <> 'deleted' ORDER BY send_time ASC, id ASC LIMIT 1",
+        [appointmentId]
+    );
+    return rows[0];
+}
+
+// Updates the content and/or send time of the follow-up message `findMessageId` returns for
+// the appointment, and makes it the admin's own. Shared by both PUT routes.
+async function updateMessage(req, res, findMessageId) {
+    try {
+        const { appointmentId } = req.params;
+        const adminId = req.admin.id;
+        const { message, send_time, client_timezone } = req.body;
+
+        if (message === undefined && !send_time) {
+            return res.status(400).json({ message: 'Either message or send_time must be provided for an update.' });
+        }
+
+        const appointment = await getAppointmentAndVerifyOwner(appointmentId, adminId);
+        if (!appointment) {
+            return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
+        }
+
+        const updateFields = ['is_manual = 1'];
+        const updateValues = [];
+
+        if (send_time) {
+            const sendTime = parseSendTime(send_time, client_timezone, req.admin, appointment);
+            if (sendTime.error) {
+                return res.status(400).json({ message: sendTime.error });
+            }
+            updateFields.push('send_time = ?');
+            updateValues.push(sendTime.value);
+        }
+
+        if (message !== undefined) {
+            updateFields.push('message = ?');
+            updateValues.push(message);
+        }
+
+        const messageId = await findMessageId(appointment);
+        const [result] = await db.query(
+            `UPDATE thank_you_messages SET ${updateFields.join(', ')} WHERE id = ? AND appointment_id = ? AND status <> 'deleted'`,
+            [...updateValues, messageId, appointmentId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Thank you message not found for this appointment.' });
+        }
+
+        res.json({ message: 'Thank you message updated successfully.' });
+
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
+        }
+        console.error('Error updating thank you message:', error);
+        res.status(500).json({ message: 'Error updating thank you message.' });
+    }
+}
+
+// @desc    Get the thank you message details for an appointment (its first follow-up message)
 // @route   GET /api/appointments/:appointmentId/thank-you
 // @access  Protected
 router.get('/', async (req, res) => {
@@ -27,12 +111,12 @@ router.get('/', async (req, res) => {
             return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
-        const [messages] = await db.query('SELECT * FROM thank_you_messages WHERE appointment_id = ?', [appointmentId]);
-        if (messages.length === 0) {
+        const message = await getFirstMessage(appointmentId);
+        if (!message) {
             return res.status(404).json({ message: 'Thank you message not found for this appointment.' });
         }
 
-        res.json(messages[0]);
+        res.json(message);
 
     } catch (error) {
         console.error('Error fetching thank you message:', error);
@@ -40,97 +124,147 @@ router.get('/', async (req, res) => {
     }
 });
 
-// @desc    Update the thank you message content and/or send time
+// @desc    Update the thank you message content and/or send time (its first follow-up message)
 // @route   PUT /api/appointments/:appointmentId/thank-you
 // @access  Protected
-router.put('/', async (req, res) => {
+router.put('/', (req, res) => updateMessage(req, res, async appointment => {
+    const message = await getFirstMessage(appointment.id);
+    return message ? message.id : null;
+}));
+
+// @desc    Delete every follow-up message of an appointment that has not been sent yet
+// @route   DELETE /api/appointments/:appointmentId/thank-you
+// @access  Protected
+router.delete('/', async (req, res) => {
     try {
         const { appointmentId } = req.params;
         const adminId = req.admin.id;
-        const { message, send_time, client_timezone } = req.body;
 
-        if (message === undefined && !send_time) {
-            return res.status(400).json({ message: 'Either message or send_time must be provided for an update.' });
+        // 1. Verify the admin owns the parent appointment.
+        const appointment = await getAppointmentAndVerifyOwner(appointmentId, adminId);
+        if (!appointment) {
+            return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
+        // 2. Mark the pending messages deleted; the ones already sent stay as history.
+        const [result] = await db.query(
+            "UPDATE thank_you_messages SET status = 'deleted' WHERE appointment_id = ? AND status = 'pending'",
+            [appointmentId]
+        );
+
+        if (result.affectedRows === 0) {
+            // This can happen if they were already deleted or sent, which is not an error.
+            return res.status(200).json({ message: 'No pending thank you messages were found to delete.' });
+        }
+
+        res.status(200).json({ message: `${result.affectedRows} thank you message(s) deleted and will not be sent.` });
+
+    } catch (error) {
+        console.error('Error deleting thank you messages:', error);
+        res.status(500).json({ message: 'Error deleting thank you messages.' });
+    }
+});
+
+// @desc    Get the follow-up messages of an appointment, in sending order
+// @route   GET /api/appointments/:appointmentId/thank-you/messages
+// @access  Protected
+router.get('/messages', async (req, res) => {
+    try {
+        const { appointmentId } = req.params;
+        const adminId = req.admin.id;
+
         const appointment = await getAppointmentAndVerifyOwner(appointmentId, adminId);
         if (!appointment) {
             return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
-        const updateFields = [];
-        const updateValues = [];
+        const [messages] = await db.query(
+            "SELECT * FROM thank_you_messages WHERE appointment_id = ? AND status <> 'deleted' ORDER BY send_time ASC, id ASC",
+            [appointmentId]
+        );
 
-        if (send_time) {
-            const sourceTimezone = client_timezone || process.env.DEFAULT_TIMEZONE;
-            const utcSendTime = fromZonedTime(send_time, sourceTimezone);
-            
-            // Validation: Ensure new send time is after the appointment time
-            if (utcSendTime <= new Date(appointment.appointment_date)) {
-                return res.status(400).json({ message: 'Thank you message send time must be after the appointment time.' });
-            }
+        res.json(messages);
 
-            updateFields.push('send_time = ?');
-            updateValues.push(format(utcSendTime, 'yyyy-MM-dd HH:mm:ss'));
-        }
+    } catch (error) {
+        console.error('Error fetching thank you messages:', error);
+        res.status(500).json({ message: 'Error fetching thank you messages.' });
+    }
+});
 
-        if (message !== undefined) {
-            updateFields.push('message = ?');
-            updateValues.push(message);
+// @desc    Add a follow-up message to an appointment
+// @route   POST /api/appointments/:appointmentId/thank-you/messages
+// @access  Protected
+router.post('/messages', async (req, res) => {
+    try {
+        const { appointmentId } = req.params;
+        const adminId = req.admin.id;
+        const { message, send_time, client_timezone } = req.body;
+
+        if (!send_time) {
+            return res.status(400).json({ message: 'send_time is required.' });
         }
-        
-        if (updateValues.length === 0) {
-            return res.status(400).json({ message: "No valid fields provided for update." });
+
+        const appointment = await getAppointmentAndVerifyOwner(appointmentId, adminId);
+        if (!appointment) {
+            return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
-        updateValues.push(appointmentId); // For the WHERE clause
+        const sendTime = parseSendTime(send_time, client_timezone, req.admin, appointment);
+        if (sendTime.error) {
+            return res.status(400).json({ message: sendTime.error });
+        }
 
         const [result] = await db.query(
-            `UPDATE thank_you_messages SET ${updateFields.join(', ')} WHERE appointment_id = ?`,
-            updateValues
+            'INSERT INTO thank_you_messages (appointment_id, send_time, message, is_manual) VALUES (?, ?, ?, 1)',
+            [appointmentId, sendTime.value, message || null]
         );
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Thank you message not found for this appointment.' });
-        }
-
-        res.json({ message: 'Thank you message updated successfully.' });
+        res.status(201).json({
+            id: result.insertId,
+            appointment_id: parseInt(appointmentId, 10),
+            send_time: sendTime.value,
+            message: message || null,
+            is_manual: 1,
+            status: 'pending'
+        });
 
     } catch (error) {
         if (error instanceof RangeError) {
             return res.status(400).json({ message: 'Invalid timezone or date format provided.' });
         }
-        console.error('Error updating thank you message:', error);
-        res.status(500).json({ message: 'Error updating thank you message.' });
+        console.error('Error creating thank you message:', error);
+        res.status(500).json({ message: 'Error creating thank you message.' });
     }
 });
 
-// @desc    Delete the thank you message for an appointment
-// @route   DELETE /api/appointments/:appointmentId/thank-you
+// @desc    Update the content and/or send time of one follow-up message
+// @route   PUT /api/appointments/:appointmentId/thank-you/messages/:messageId
 // @access  Protected
-router.delete('/', async (req, res) => {
+router.put('/messages/:messageId', (req, res) => updateMessage(req, res, () => req.params.messageId));
+
+// @desc    Delete one follow-up message so it is not sent
+// @route   DELETE /api/appointments/:appointmentId/thank-you/messages/:messageId
+// @access  Protected
+router.delete('/messages/:messageId', async (req, res) => {
     try {
-        const { appointmentId } = req.params;
+        const { appointmentId, messageId } = req.params;
         const adminId = req.admin.id;
 
-        // 1. Verify the admin owns the parent appointment.
         const appointment = await getAppointmentAndVerifyOwner(appointmentId, adminId);
         if (!appointment) {
             return res.status(404).json({ message: 'Appointment not found or you do not have permission to access it.' });
         }
 
-        // 2. Delete the thank you message record from the database.
         const [result] = await db.query(
-            'DELETE FROM thank_you_messages WHERE appointment_id = ?',
-            [appointmentId]
+            "UPDATE thank_you_messages SET status = 'deleted' WHERE id = ? AND appointment_id = ? AND status = 'pending'",
+            [messageId, appointmentId]
         );
 
         if (result.affectedRows === 0) {
-            // This can happen if it was already deleted, which is not an error.
-            return res.status(200).json({ message: 'No thank you message was found to delete.' });
+            return res.status(404).json({ message: 'No pending thank you message with this id was found for this appointment.' });
         }
 
-        res.status(200).json({ message: 'Thank you message has been successfully deleted and will not be sent.' });
+        res.json({ message: 'Thank you message has been successfully deleted and will not be sent.' });
 
     } catch (error) {
         console.error('Error deleting thank you message:', error);
@@ -138,4 +272,4 @@ router.delete('/', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const { sendBookingEmails, sendApprovalRequestEmails } = require('../services/emailService');
+const { hashToken, insertAppointment, buildManageLinks, isScheduleConflict } = require('../services/appointmentService');
+const { getSchedulingSettings, checkSlotAvailability, lockAdminSchedule } = require('../services/availabilityService');
+const { getAppointmentCustomFields } = require('../services/templateService');
+const { offerFreedSlots } = require('../services/waitlistService');
+const { createApprovalRequest, buildApprovalLinks } = require('../services/approvalService');
+const { format, formatInTimeZone } = require('date-fns-tz');
+
+// NOTE: These routes are public. Access is granted by the unguessable claim token
+// that was emailed to the client when a time was offered to them from the waitlist.
+
+// Finds the waitlist entry for a claim token, together with what the client pages need.
+// With forUpdate, the admin's schedule is locked before the entry, in the same order as a
+// booking, so the two never deadlock.
+async function getEntryByToken(token, connection = db, { forUpdate = false } = {}) {
+    const query = `SELECT w.*, ad.notification_email, s.slug AS booking_slug, s.title AS booking_title,
+            s.description AS booking_description, s.location, s.requires_approval
+        FROM waitlist_entries w
+        JOIN admins ad ON w.admin_id = ad.id
+        JOIN slugs s ON w.slug_id = s.id
+        WHERE w.claim_token_hash = ?`;
+    const [rows] = await connection.query(query, [hashToken(token)]);
+    if (!forUpdate || rows.length === 0) {
+        return rows[0];
+    }
+
+    await lockAdminSchedule(connection, rows[0].admin_id);
+    const [locked] = await connection.query(`${query} FOR UPDATE`, [hashToken(token)]);
+    return locked[0];
+}
+
+// True while an offer can still be claimed.
+function isOpenOffer(entry) {
+    return entry.status === 'offered' && new Date(entry.offer_expires_at) > new Date();
+}
+
+
+// @desc    View a waitlist offer using its claim token
+// @route   GET /api/waitlist/:token
+// @access  Public (token)
+router.get('/:token', async (req, res) => {
+    try {
+        const entry = await getEntryByToken(req.params.token);
+        if (!entry) {
+            return res.status(404).json({ message: 'This waitlist link is not valid or the offer has expired.' });
+        }
+
+        const timezone = entry.client_timezone;
+
+        res.json({
+            client_name: entry.client_name,
+            status: isOpenOffer(entry) ? 'offered' : (entry.status === 'offered' ? 'expired' : entry.status),
+            timezone: timezone,
+            appointment_date: formatInTimeZone(entry.offered_start, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            end_date: formatInTimeZone(entry.offered_end, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            expires_at: formatInTimeZone(entry.offer_expires_at, timezone, 'yyyy-MM-dd HH:mm:ss'),
+            booking_slug: entry.booking_slug,
+            booking_title: entry.booking_title || entry.booking_slug,
+            location: entry.location,
+        });
+
+    } catch (error) {
+        console.error('Error fetching waitlist offer:', error);
+        res.status(500).json({ message: 'Error fetching waitlist offer.' });
+    }
+});
+
+// @desc    Book the offered time using the claim token
+// @route   POST /api/waitlist/:token/claim
+// @access  Public (token)
+router.post('/:token/claim', async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const entry = await getEntryByToken(req.params.token, connection, { forUpdate: true });
+        if (!entry) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'This waitlist link is not valid or the offer has expired.' });
+        }
+        if (entry.status === 'booked') {
+            await connection.rollback();
+            return res.status(409).json({ message: 'This offer has already been claimed.' });
+        }
+        if (!isOpenOffer(entry)) {
+            await connection.rollback();
+            return res.status(410).json({ message: 'This offer has expired and has been passed on to the next person on the waitlist.' });
+        }
+
+        // The offer holds the time, but the page's rules may have changed since it was made.
+        const start = new Date(entry.offered_start);
+        const end = new Date(entry.offered_end);
+        const page = await getSchedulingSettings(entry.slug_id, connection);
+        const slotError = await checkSlotAvailability(connection, page, entry.admin_id, start, end, { excludeEntryId: entry.id });
+        if (slotError) {
+            await connection.rollback();
+            return res.status(slotError.status).json({ message: slotError.message });
+        }
+
+        // On a page that needs approval, claiming the offer sends a booking request.
+        const approval = entry.requires_approval ? createApprovalRequest(start) : null;
+
+        const customData = typeof entry.custom_data === 'string' ? JSON.parse(entry.custom_data) : (entry.custom_data || []);
+        const appointment = {
+            admin_id: entry.admin_id,
+            slug_id: entry.slug_id,
+            client_name: entry.client_name,
+            client_email: entry.client_email,
+            client_timezone: entry.client_timezone,
+            details: entry.details,
+            appointment_date: format(start, 'yyyy-MM-dd HH:mm:ss'),
+            end_date: format(end, 'yyyy-MM-dd HH:mm:ss'),
+            ...(approval && {
+                status: 'pending_approval',
+                approval_token_hash: approval.tokenHash,
+                approval_expires_at: format(approval.expiresAt, 'yyyy-MM-dd HH:mm:ss'),
+            }),
+        };
+        const { id, manageToken } = await insertAppointment(
+            connection,
+            appointment,
+            customData.map(({ field_id, value }) => ({ field: { id: field_id }, value }))
+        );
+
+        await connection.query(
+            "UPDATE waitlist_entries SET status = 'booked', appointment_id = ? WHERE id = ?",
+            [id, entry.id]
+        );
+
+        const createdAppointment = {
+            id,
+            ...appointment,
+            appointment_date: start,
+            end_date: end,
+            booking_slug: entry.booking_slug,
+            booking_title: entry.booking_title,
+            booking_description: entry.booking_description,
+            location: entry.location,
+            manage_links: buildManageLinks(manageToken),
+        };
+        // Queued in the claim's transaction, so the booking is never made without its emails.
+        const customFields = await getAppointmentCustomFields(id, connection);
+        if (approval) {
+            await sendApprovalRequestEmails(createdAppointment, entry.client_timezone, entry.notification_email, customFields, {
+                approvalLinks: buildApprovalLinks(approval.token),
+                approvalDeadline: approval.expiresAt,
+                connection,
+            });
+        } else {
+            await sendBookingEmails(createdAppointment, entry.client_timezone, entry.notification_email, customFields, { connection });
+        }
+
+        await connection.commit();
+
+        res.status(201).json({
+            message: approval
+                ? 'Your booking request has been sent and is waiting for approval.'
+                : 'Appointment created successfully!',
+            status: approval ? 'pending_approval' : 'confirmed',
+        });
+
+    } catch (error) {
+        if (connection) await connection.rollback();
+        if (isScheduleConflict(error)) {
+            return res.status(409).json({ message: 'This time slot has just been booked by someone else.' });
+        }
+        console.error('Error claiming waitlist offer:', error);
+        res.status(500).json({ message: 'Error claiming waitlist offer.' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// @desc    Turn down a waitlist offer so the next person can have the time
+// @route   POST /api/waitlist/:token/decline
+// @access  Public (token)
+router.post('/:token/decline', async (req, res) => {
+    try {
+        const entry = await getEntryByToken(req.params.token);
+        if (!entry) {
+            return res.status(404).json({ message: 'This waitlist link is not valid or the offer has expired.' });
+        }
+
+        const [result] = await db.query(
+            "UPDATE waitlist_entries SET status = 'expired' WHERE id = ? AND status = 'offered'",
+            [entry.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ message: 'This offer is no longer open.' });
+        }
+
+        offerFreedSlots({ admin_id: entry.admin_id, slug_id: entry.slug_id, appointment_date: entry.offered_start });
+
+        res.json({ message: 'The offer has been declined. You have been removed from the waitlist.' });
+
+    } catch (error) {
+        console.error('Error declining waitlist offer:', error);
+        res.status(500).json({ message: 'Error declining waitlist offer.' });
+    }
+});
+
+module.exports = router;
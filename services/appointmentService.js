@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { scheduleRuleReminders } = require('./reminderRuleService');
+const { scheduleFollowups } = require('./followupService');
+
+// Hashes a client-facing token so only the hash is ever stored in the database.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Generates an unguessable manage token for an appointment and the hash to store for it.
+function createManageToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+// Builds the client-facing links used to view, reschedule or cancel a booking.
+function buildManageLinks(token) {
+  const baseUrl = `${process.env.FRONTEND_URL}/manage/${token}`;
+  return {
+    view: baseUrl,
+    reschedule: `${baseUrl}?action=reschedule`,
+    cancel: `${baseUrl}?action=cancel`,
+  };
+}
+
+// Every appointment claims the minutes it covers in schedule_slots, one row per admin and
+// minute, which is what stops the database from ever holding two overlapping bookings (see
+// migration 019). Appointment times may be Dates or strings formatted for the database.
+function toUtcDate(value) {
+  return value instanceof Date ? value : new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+// Lists the minutes [start, end) covers, formatted for the database.
+function listScheduleMinutes(start, end) {
+  const firstMinute = Math.floor(toUtcDate(start).getTime() / 60000);
+  const endMinute = Math.ceil(toUtcDate(end).getTime() / 60000);
+  const minutes = [];
+  for (let minute = firstMinute; minute < endMinute; minute++) {
+    minutes.push(new Date(minute * 60000).toISOString().slice(0, 19).replace('T', ' '));
+  }
+  return minutes;
+}
+
+// The session columns that identify an appointment's rows: the clients of a group session
+// share theirs.
+function getSessionKey(appointment) {
+  return [appointment.slug_id || null, toUtcDate(appointment.appointment_date), toUtcDate(appointment.end_date)];
+}
+
+// Claims the minutes of `appointment` ({ admin_id, slug_id, appointment_date, end_date })
+// inside the caller's transaction. A minute held by its own group session takes one more of
+// the page's seats, checked against the page's current capacity; any other clash fails with
+// an error isScheduleConflict recognises.
+async function claimScheduleSlots(connection, appointment) {
+  let capacity = 1;
+  if (appointment.slug_id) {
+    const [slugs] = await connection.query('SELECT capacity FROM slugs WHERE id = ?', [appointment.slug_id]);
+    capacity = slugs.length > 0 ? slugs[0].capacity : 1;
+  }
+
+  const [slugId, sessionStart, sessionEnd] = getSessionKey(appointment);
+  const minutes = listScheduleMinutes(sessionStart, sessionEnd);
+  if (minutes.length === 0) {
+    return;
+  }
+  await connection.query(
+    `INSERT INTO schedule_slots (admin_id, slot_start, slug_id, session_start, session_end, attendees, capacity)
+    VALUES ?
+    ON DUPLICATE KEY UPDATE
+      capacity = VALUES(capacity),
+      attendees = IF(
+        slug_id <=> VALUES(slug_id) AND session_start = VALUES(session_start) AND session_end = VALUES(session_end),
+        attendees + 1,
+        0
+      )`,
+    [minutes.map(minute => [appointment.admin_id, minute, slugId, sessionStart, sessionEnd, 1, capacity])]
+  );
+}
+
+// Gives back the minutes `appointment` claimed, with its old times, inside the caller's
+// transaction. Must be called before it is cancelled or moved.
+async function releaseScheduleSlots(connection, appointment) {
+  const [slugId, sessionStart, sessionEnd] = getSessionKey(appointment);
+  const minutes = listScheduleMinutes(sessionStart, sessionEnd);
+  if (minutes.length === 0) {
+    return;
+  }
+  const filter = `admin_id = ? AND slot_start >= ? AND slot_start <= ?
+    AND slug_id <=> ? AND session_start = ? AND session_end = ?`;
+  const values = [appointment.admin_id, minutes[0], minutes[minutes.length - 1], slugId, sessionStart, sessionEnd];
+
+  // The last client of a session frees the minutes; anyone else gives back a seat.
+  await connection.query(`DELETE FROM schedule_slots WHERE ${filter} AND attendees = 1`, values);
+  await connection.query(`UPDATE schedule_slots SET attendees = attendees - 1 WHERE ${filter}`, values);
+}
+
+// True if a write failed because the time was taken by a concurrent booking.
+function isScheduleConflict(error) {
+  return Boolean(error) && error.code === 'ER_CHECK_CONSTRAINT_VIOLATED' && /chk_schedule_slots_attendees/.test(error.message);
+}
+
+// The lifecycle of a booked appointment. Cancelling moves it to cancelled_appointments.
+const APPOINTMENT_STATUSES = ['pending_approval', 'confirmed', 'completed', 'no_show'];
+
+// The statuses an admin can move an appointment to from each status. Outcomes can be
+// corrected (completed <-> no_show) or cleared back to confirmed. A pending booking request
+// is answered through the approval endpoints instead, which also notify the client.
+const STATUS_TRANSITIONS = {
+  pending_approval: [],
+  confirmed: ['completed', 'no_show'],
+  completed: ['no_show', 'confirmed'],
+  no_show: ['completed', 'confirmed'],
+};
+
+// Outcomes that can only be recorded once the meeting has started.
+const OUTCOME_STATUSES = ['completed', 'no_show'];
+
+// Checks that an appointment can move to `status`. Returns null or the reason as a message.
+function checkStatusTransition(appointment, status, now = new Date()) {
+  if (!APPOINTMENT_STATUSES.includes(status)) {
+    return `status must be one of: ${APPOINTMENT_STATUSES.join(', ')}.`;
+  }
+  if (appointment.status === status) {
+    return null;
+  }
+  if (appointment.status === 'pending_approval') {
+    return 'This booking request is waiting for approval. Approve or decline it instead.';
+  }
+  if (!(STATUS_TRANSITIONS[appointment.status] || []).includes(status)) {
+    return `An appointment that is ${appointment.status} cannot be marked ${status}.`;
+  }
+  if (OUTCOME_STATUSES.includes(status) && new Date(appointment.appointment_date) > now) {
+    return 'An outcome can only be recorded once the meeting has started.';
+  }
+  return null;
+}
+
+// Inserts a booked appointment with its custom field answers ([{ field, value }]), its
+// page's default reminders and its page's follow-up messages, and claims its time in
+// schedule_slots, inside the caller's transaction. `appointment` holds the column values,
+// with appointment_date and end_date formatted for the database. A booking request (status
+// pending_approval) gets its reminders and follow-ups once it is approved.
+// Returns { id, manageToken }; only the hash of the manage token is stored.
+async function insertAppointment(connection, appointment, customFieldAnswers = []) {
+  const { token: manageToken, tokenHash: manageTokenHash } = createManageToken();
+
+  const [result] = await connection.query('INSERT INTO appointments SET ?', { ...appointment, manage_token_hash: manageTokenHash });
+  const id = result.insertId;
+  await claimScheduleSlots(connection, appointment);
+
+  if (customFieldAnswers.length > 0) {
+    await connection.query(
+      'INSERT INTO appointment_custom_data (appointment_id, slug_field_id, field_value) VALUES ?',
+      [customFieldAnswers.map(({ field, value }) => [id, field.id, value])]
+    );
+  }
+
+  if (appointment.status !== 'pending_approval') {
+    await scheduleRuleReminders(connection, { appointmentId: id });
+    await scheduleFollowups(connection, { appointmentId: id });
+  }
+
+  return { id, manageToken };
+}
+
+// Moves an appointment into `cancelled_appointments` and removes it from `appointments`.
+// Must be called inside a transaction that has already locked the appointment row.
+async function moveToCancelled(connection, appointment, cancelledBy = 'admin') {
+  await connection.query('INSERT INTO cancelled_appointments SET ?', {
+    id: appointment.id,
+    admin_id: appointment.admin_id,
+    slug_id: appointment.slug_id,
+    client_name: appointment.client_name,
+    client_email: appointment.client_email,
+    client_timezone: appointment.client_timezone,
+    appointment_date: appointment.appointment_date,
+    end_date: appointment.end_date,
+    details: appointment.details,
+    series_id: appointment.series_id || null,
+    created_at: appointment.created_at,
+    cancelled_by: cancelledBy,
+  });
+
+  await releaseScheduleSlots(connection, appointment);
+
+  // Nothing is sent for a cancelled appointment.
+  await connection.query('DELETE FROM reminders WHERE appointment_id = ?', [appointment.id]);
+  await connection.query('DELETE FROM thank_you_messages WHERE appointment_id = ?', [appointment.id]);
+  await connection.query('DELETE FROM appointments WHERE id = ?', [appointment.id]);
+}
+
+// Shifts the pending reminders and follow-up messages an admin added or edited by hand for
+// an appointment by the same amount its start time moved, so they keep their position
+// relative to it. Must be called once the appointment row has its new time: the page's
+// default reminders and follow-up sequence are worked out again from it, leaving out any
+// that would now fall in the past.
+async function shiftScheduledMessages(connection, appointmentId, oldStart, newStart) {
+  const deltaSeconds = Math.round((new Date(newStart) - new Date(oldStart)) / 1000);
+
+  await connection.query(
+    "UPDATE reminders SET reminder_time = DATE_ADD(reminder_time, INTERVAL ? SECOND) WHERE appointment_id = ? AND status = 'pending' AND is_manual = 1",
+    [deltaSeconds, appointmentId]
+  );
+  await scheduleRuleReminders(connection, { appointmentId });
+  await connection.query(
+    "UPDATE thank_you_messages SET send_time = DATE_ADD(send_time, INTERVAL ? SECOND) WHERE appointment_id = ? AND status = 'pending' AND is_manual = 1",
+    [deltaSeconds, appointmentId]
+  );
+  await scheduleFollowups(connection, { appointmentId });
+}
+
+// Returns the pending reminders added or edited by hand that would fall in the past once
+// shifted to the new start time. Default reminders are worked out again instead (see
+// shiftScheduledMessages).
+async function findRemindersShiftedIntoPast(connection, appointmentId, oldStart, newStart) {
+  const deltaSeconds = Math.round((new Date(newStart) - new Date(oldStart)) / 1000);
+
+  const [rows] = await connection.query(
+    "SELECT id, reminder_time FROM reminders WHERE appointment_id = ? AND status = 'pending' AND is_manual = 1 AND DATE_ADD(reminder_time, INTERVAL ? SECOND) <= UTC_TIMESTAMP()",
+    [appointmentId, deltaSeconds]
+  );
+  return rows;
+}
+
+module.exports = {
+  hashToken,
+  createManageToken,
+  buildManageLinks,
+  APPOINTMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  checkStatusTransition,
+  claimScheduleSlots,
+  releaseScheduleSlots,
+  isScheduleConflict,
+  insertAppointment,
+  moveToCancelled,
+  shiftScheduledMessages,
+  findRemindersShiftedIntoPast,
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { addHours, min } = require('date-fns');
+const {
+  hashToken,
+  createManageToken,
+  buildManageLinks,
+  moveToCancelled,
+} = require('./appointmentService');
+const { scheduleRuleReminders } = require('./reminderRuleService');
+const { scheduleFollowups } = require('./followupService');
+const { sendBookingEmails, sendBookingDeclinedEmail } = require('./emailService');
+const { getAppointmentCustomFields } = require('./templateService');
+const { offerFreedSlots } = require('./waitlistService');
+const { lockAdminSchedule } = require('./availabilityService');
+
+// How long an admin has to answer a booking request before it is declined automatically.
+const APPROVAL_TIMEOUT_HOURS = parseInt(process.env.APPROVAL_TIMEOUT_HOURS, 10) || 48;
+
+// Sent to the client when a request is declined because nobody answered it in time.
+const EXPIRED_REQUEST_MESSAGE = 'We were not able to answer your request in time, so the time has been released.';
+
+// Builds the admin-facing links to view, approve or decline a booking request.
+function buildApprovalLinks(token) {
+  const baseUrl = `${process.env.FRONTEND_URL}/approvals/${token}`;
+  return {
+    view: baseUrl,
+    approve: `${baseUrl}?action=approve`,
+    decline: `${baseUrl}?action=decline`,
+  };
+}
+
+// Creates the approval token for a new booking request starting at `firstStart`, and when
+// the request expires: APPROVAL_TIMEOUT_HOURS from now, or when the meeting would start if
+// that is sooner. Returns { token, tokenHash, expiresAt }; only the hash is stored.
+function createApprovalRequest(firstStart) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: min([addHours(new Date(), APPROVAL_TIMEOUT_HOURS), firstStart]),
+  };
+}
+
+// Locks and returns every appointment of the pending request with this token hash, ordered
+// by start time, together with what the emails and admin pages need. The admin's schedule is
+// locked first, in the same order as a booking, so the two never deadlock.
+async function lockRequest(connection, tokenHash) {
+  const [owners] = await connection.query(
+    "SELECT admin_id FROM appointments WHERE approval_token_hash = ? AND status = 'pending_approval' LIMIT 1",
+    [tokenHash]
+  );
+  if (owners.length === 0) {
+    return [];
+  }
+  await lockAdminSchedule(connection, owners[0].admin_id);
+
+  const [rows] = await connection.query(
+    `SELECT a.*, ad.notification_email, ad.timezone AS admin_timezone,
+      s.slug AS booking_slug, s.title AS booking_title, s.timezone AS slug_timezone
+    FROM appointments a
+    JOIN admins ad ON a.admin_id = ad.id
+    LEFT JOIN slugs s ON a.slug_id = s.id
+    WHERE a.approval_token_hash = ? AND a.status = 'pending_approval'
+    ORDER BY a.appointment_date ASC
+    FOR UPDATE`,
+    [tokenHash]
+  );
+  return rows;
+}
+
+// Finds a pending booking request, locked for the caller's transaction, either by the token
+// from the admin's email ({ token }) or by one of its appointments ({ appointmentId, adminId }).
+// Every occurrence of a recurring request is returned, since they are answered together.
+async function findRequest(connection, lookup) {
+  if (lookup.token) {
+    return lockRequest(connection, hashToken(String(lookup.token)));
+  }
+
+  const [rows] = await connection.query(
+    "SELECT approval_token_hash FROM appointments WHERE id = ? AND admin_id = ? AND status = 'pending_approval'",
+    [lookup.appointmentId, lookup.adminId]
+  );
+  return rows.length > 0 ? lockRequest(connection, rows[0].approval_token_hash) : [];
+}
+
+// True once the admin can no longer approve a request.
+function isExpiredRequest(appointments) {
+  return new Date(appointments[0].approval_expires_at) <= new Date();
+}
+
+// Confirms the appointments of a request inside the caller's transaction and schedules their
+// default reminders and follow-up messages. The client never saw a manage link for a request,
+// so each appointment gets a fresh manage token now. The invite sequence grows, so subscribed
+// calendars replace the tentative event of the request. Returns the appointments with their
+// manage_links.
+async function approveAppointments(connection, appointments) {
+  const approved = [];
+  for (const appointment of appointments) {
+    const { token, tokenHash } = createManageToken();
+    await connection.query(
+      `UPDATE appointments
+      SET status = 'confirmed', status_changed_at = UTC_TIMESTAMP(), approval_token_hash = NULL,
+        approval_expires_at = NULL, manage_token_hash = ?, ics_sequence = ics_sequence + 1
+      WHERE id = ?`,
+      [tokenHash, appointment.id]
+    );
+    await scheduleRuleReminders(connection, { appointmentId: appointment.id });
+    await scheduleFollowups(connection, { appointmentId: appointment.id });
+    approved.push({
+      ...appointment,
+      status: 'confirmed',
+      ics_sequence: appointment.ics_sequence + 1,
+      manage_links: buildManageLinks(token),
+    });
+  }
+  return approved;
+}
+
+// Queues the client's confirmation once a request is approved, inside the caller's
+// transaction. The admin approved it, so they are not notified again.
+async function notifyApproved(connection, approved) {
+  const [first] = approved;
+  const customFields = await getAppointmentCustomFields(first.id, connection);
+  await sendBookingEmails(first, first.client_timezone, first.notification_email, customFields, {
+    notifyAdmin: false,
+    occurrences: approved.length > 1 ? approved : [],
+    connection,
+  });
+}
+
+// Queues the notice that a request was declined, inside the caller's transaction.
+async function notifyDeclined(connection, declined, reason) {
+  await sendBookingDeclinedEmail(declined[0], reason, { occurrences: declined.length > 1 ? declined : [], connection });
+}
+
+// Approves or declines (`action`) the booking request `lookup` finds (see findRequest) and
+// notifies the client, in its own transaction. A declined request's time is then offered to
+// the waitlist. `reason` is passed on to the client when declining.
+// Returns { appointments } or { status, message }.
+async function answerRequest(lookup, action, reason = null) {
+  const connection = await db.getConnection();
+  let appointments;
+
+  try {
+    await connection.beginTransaction();
+
+    const request = await findRequest(connection, lookup);
+    if (request.length === 0) {
+      await connection.rollback();
+      return { status: 404, message: 'This booking request was not found, or it has already been answered or has expired.' };
+    }
+
+    if (action === 'approve') {
+      if (isExpiredRequest(request)) {
+        await connection.rollback();
+        return { status: 410, message: 'This booking request has expired and its time has been released.' };
+      }
+      appointments = await approveAppointments(connection, request);
+      await notifyApproved(connection, appointments);
+    } else {
+      for (const appointment of request) {
+        await moveToCancelled(connection, appointment, 'declined');
+      }
+      appointments = request;
+      await notifyDeclined(connection, appointments, reason);
+    }
+
+    await connection.commit();
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+
+  if (action !== 'approve') {
+    offerFreedSlots(appointments);
+  }
+
+  return { appointments };
+}
+
+// Declines the requests nobody answered before they expired and tells their clients.
+// Returns how many requests were declined.
+async function expireApprovalRequests() {
+  const [expired] = await db.query(
+    "SELECT DISTINCT approval_token_hash FROM appointments WHERE status = 'pending_approval' AND approval_expires_at <= UTC_TIMESTAMP()"
+  );
+
+  let declinedCount = 0;
+  for (const { approval_token_hash: tokenHash } of expired) {
+    const connection = await db.getConnection();
+    let declined = [];
+
+    try {
+      await connection.beginTransaction();
+
+      // The admin may have answered it since it was selected.
+      const request = await lockRequest(connection, tokenHash);
+      if (request.length > 0 && isExpiredRequest(request)) {
+        for (const appointment of request) {
+          await moveToCancelled(connection, appointment, 'expired');
+        }
+        await notifyDeclined(connection, request, EXPIRED_REQUEST_MESSAGE);
+        declined = request;
+      }
+
+      await connection.commit();
+
+    } catch (error) {
+      if (connection) await connection.rollback();
+      throw error;
+    } finally {
+      if (connection) connection.release();
+    }
+
+    if (declined.length > 0) {
+      declinedCount++;
+      offerFreedSlots(declined);
+    }
+  }
+
+  return declinedCount;
+}
+
+module.exports = {
+  APPROVAL_TIMEOUT_HOURS,
+  buildApprovalLinks,
+  createApprovalRequest,
+  findRequest,
+  isExpiredRequest,
+  answerRequest,
+  expireApprovalRequests,
+};
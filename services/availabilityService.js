@@ -0,0 +1,559 @@
+const db = require('../config/db');
+const { fromZonedTime, format, formatInTimeZone } = require('date-fns-tz');
+const { addMinutes, addDays } = require('date-fns');
+const { resolveTimezone } = require('../utils/timezone');
+
+// The largest date range (in days) that can be requested from the slots endpoint.
+const MAX_RANGE_DAYS = 62;
+
+// Converts "HH:mm" or "HH:mm:ss" into minutes since midnight. Returns null if invalid.
+function timeToMinutes(time) {
+  const match = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(time));
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}:00`;
+}
+
+// Validates the weekly rules sent by an admin and normalises them for storage.
+// Returns { rules } on success or { error } with a message suitable for a 400 response.
+function normalizeAvailabilityRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { error: 'rules must be an array of { weekday, start_time, end_time } objects.' };
+  }
+
+  const normalized = [];
+  for (const rule of rules) {
+    const weekday = Number(rule.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: 'weekday must be an integer from 0 (Sunday) to 6 (Saturday).' };
+    }
+
+    const start = timeToMinutes(rule.start_time);
+    const end = timeToMinutes(rule.end_time);
+    if (start === null || end === null) {
+      return { error: 'start_time and end_time must be in HH:mm format.' };
+    }
+    if (end <= start) {
+      return { error: 'end_time must be later than start_time.' };
+    }
+
+    normalized.push({ weekday, start, end });
+  }
+
+  // Windows on the same weekday must not overlap.
+  normalized.sort((a, b) => a.weekday - b.weekday || a.start - b.start);
+  for (let i = 1; i < normalized.length; i++) {
+    const previous = normalized[i - 1];
+    if (previous.weekday === normalized[i].weekday && normalized[i].start < previous.end) {
+      return { error: 'Availability windows on the same weekday must not overlap.' };
+    }
+  }
+
+  return {
+    rules: normalized.map(r => ({ weekday: r.weekday, start_time: minutesToTime(r.start), end_time: minutesToTime(r.end) })),
+  };
+}
+
+// Fetches the weekly availability rules for a booking page.
+async function getAvailabilityRules(slugId, connection = db) {
+  const [rules] = await connection.query(
+    'SELECT weekday, start_time, end_time FROM slug_availability WHERE slug_id = ? ORDER BY weekday ASC, start_time ASC',
+    [slugId]
+  );
+  return rules;
+}
+
+// A booking page's own timezone overrides its admin's; both fall back to DEFAULT_TIMEZONE.
+function getPageTimezone(page) {
+  return resolveTimezone(page.timezone, page.admin_timezone);
+}
+
+// Returns every calendar day ("yyyy-MM-dd") between startDate and endDate, inclusive.
+function listDays(startDate, endDate) {
+  const days = [];
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  const last = new Date(`${endDate}T00:00:00Z`);
+  while (cursor <= last) {
+    days.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+}
+
+// Builds every candidate slot for the given days from the weekly rules.
+// Slots start every `intervalMinutes` inside a window and last `durationMinutes`,
+// which must fit entirely within the window.
+function generateSlots(rules, timezone, startDate, endDate, intervalMinutes, durationMinutes = intervalMinutes) {
+  const slots = [];
+
+  for (const day of listDays(startDate, endDate)) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+
+    for (const rule of rules) {
+      if (rule.weekday !== weekday) continue;
+
+      const windowStart = timeToMinutes(rule.start_time);
+      const windowEnd = timeToMinutes(rule.end_time);
+
+      for (let minute = windowStart; minute + durationMinutes <= windowEnd; minute += intervalMinutes) {
+        const start = fromZonedTime(`${day} ${minutesToTime(minute)}`, timezone);
+        slots.push({ start, end: addMinutes(start, durationMinutes) });
+      }
+    }
+  }
+
+  return slots;
+}
+
+// Checks whether a UTC instant is the start of one of the page's generated slots.
+function isSlotWithinRules(rules, timezone, utcDate, intervalMinutes, durationMinutes = intervalMinutes) {
+  const day = formatInTimeZone(utcDate, timezone, 'yyyy-MM-dd');
+  return generateSlots(rules, timezone, day, day, intervalMinutes, durationMinutes)
+    .some(slot => slot.start.getTime() === utcDate.getTime());
+}
+
+// Loads the admin's availability exceptions that overlap [start, end) and apply to the
+// booking page: admin-wide ones plus the page's own. Returns { blackouts, extras }, each
+// a list of { id, start, end } windows.
+async function getAvailabilityExceptions(connection, adminId, slugId, start, end) {
+  const [rows] = await connection.query(
+    `SELECT id, kind, starts_at, ends_at FROM availability_exceptions
+    WHERE admin_id = ? AND (slug_id IS NULL OR slug_id = ?) AND starts_at < ? AND ends_at > ?
+    ORDER BY starts_at ASC`,
+    [adminId, slugId, format(end, 'yyyy-MM-dd HH:mm:ss'), format(start, 'yyyy-MM-dd HH:mm:ss')]
+  );
+
+  const toWindow = row => ({ id: row.id, start: new Date(row.starts_at), end: new Date(row.ends_at) });
+  return {
+    blackouts: rows.filter(row => row.kind === 'blackout').map(toWindow),
+    extras: rows.filter(row => row.kind === 'extra').map(toWindow),
+  };
+}
+
+// Builds the candidate slots of one-off extra windows. Like weekly windows, slots start
+// every `intervalMinutes` from the start of the window and must fit entirely inside it.
+function generateExtraSlots(extras, intervalMinutes, durationMinutes = intervalMinutes) {
+  const slots = [];
+  for (const extra of extras) {
+    for (let start = extra.start; addMinutes(start, durationMinutes) <= extra.end; start = addMinutes(start, intervalMinutes)) {
+      slots.push({ start, end: addMinutes(start, durationMinutes) });
+    }
+  }
+  return slots;
+}
+
+// Checks whether a UTC instant is the start of a slot in one of the extra windows.
+function isSlotWithinExtras(extras, utcDate, intervalMinutes, durationMinutes = intervalMinutes) {
+  return generateExtraSlots(extras, intervalMinutes, durationMinutes)
+    .some(slot => slot.start.getTime() === utcDate.getTime());
+}
+
+// True if the slot overlaps any of the given { start, end } windows.
+function overlapsAnyWindow(slot, windows) {
+  return windows.some(window => slot.start < window.end && slot.end > window.start);
+}
+
+// Validates the duration settings sent by an admin for a booking page.
+// Returns { duration_minutes, duration_options } on success or { error }.
+function normalizeDurationSettings(durationMinutes, durationOptions) {
+  const isValidDuration = value => Number.isInteger(value) && value >= 5 && value <= 1440;
+
+  const duration = Number(durationMinutes);
+  if (!isValidDuration(duration)) {
+    return { error: 'duration_minutes must be a whole number between 5 and 1440.' };
+  }
+
+  if (durationOptions === undefined || durationOptions === null) {
+    return { duration_minutes: duration, duration_options: null };
+  }
+
+  if (!Array.isArray(durationOptions) || durationOptions.length === 0) {
+    return { error: 'duration_options must be a non-empty array of minutes, or null.' };
+  }
+
+  const options = [...new Set(durationOptions.map(Number))].sort((a, b) => a - b);
+  if (!options.every(isValidDuration)) {
+    return { error: 'Every entry in duration_options must be a whole number between 5 and 1440.' };
+  }
+  if (!options.includes(duration)) {
+    return { error: 'duration_options must include the default duration_minutes.' };
+  }
+
+  return { duration_minutes: duration, duration_options: options };
+}
+
+// Limits on when and how a booking page can be booked: [min, max] for each setting, in
+// minutes except max_days_ahead and capacity (seats per session). max_days_ahead may also
+// be null, meaning no limit.
+const BOOKING_LIMITS = {
+  min_notice_minutes: [0, 525600],
+  max_days_ahead: [1, 3650],
+  buffer_before_minutes: [0, 1440],
+  buffer_after_minutes: [0, 1440],
+  capacity: [1, 1000],
+};
+
+// Validates the booking limits sent by an admin. Only the settings present in `input`
+// are returned, so a partial update leaves the others alone.
+// Returns { limits } on success or { error }.
+function normalizeBookingLimits(input) {
+  const limits = {};
+  for (const [key, [min, max]] of Object.entries(BOOKING_LIMITS)) {
+    if (input[key] === undefined) continue;
+
+    if (key === 'max_days_ahead' && input[key] === null) {
+      limits[key] = null;
+      continue;
+    }
+
+    const value = Number(input[key]);
+    if (input[key] === null || !Number.isInteger(value) || value < min || value > max) {
+      return { error: `${key} must be a whole number between ${min} and ${max}.` };
+    }
+    limits[key] = value;
+  }
+  return { limits };
+}
+
+// The largest daily or weekly booking cap an admin can set.
+const MAX_BOOKING_CAP = 1000;
+
+// Validates max_per_day and max_per_week (for a booking page or an admin). Only the caps
+// present in `input` are returned; null removes a cap. Returns { caps } or { error }.
+function normalizeBookingCaps(input) {
+  const caps = {};
+  for (const key of ['max_per_day', 'max_per_week']) {
+    if (input[key] === undefined) continue;
+
+    if (input[key] === null) {
+      caps[key] = null;
+      continue;
+    }
+
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_BOOKING_CAP) {
+      return { error: `${key} must be a whole number between 1 and ${MAX_BOOKING_CAP}, or null for no limit.` };
+    }
+    caps[key] = value;
+  }
+  return { caps };
+}
+
+// Returns the UTC bounds of the calendar day (or Monday-to-Sunday week) that contains
+// `date` in the given timezone.
+function getPeriodRange(date, timezone, period) {
+  const day = formatInTimeZone(date, timezone, 'yyyy-MM-dd');
+  let first = new Date(`${day}T00:00:00Z`);
+  let days = 1;
+  if (period === 'week') {
+    first = addDays(first, -((first.getUTCDay() + 6) % 7));
+    days = 7;
+  }
+  const toLocalMidnight = d => fromZonedTime(`${d.toISOString().slice(0, 10)} 00:00:00`, timezone);
+  return { start: toLocalMidnight(first), end: toLocalMidnight(addDays(first, days)) };
+}
+
+// Lists the caps that apply to a booking on the page: the page's own, counted in the
+// page's timezone, and the admin's, counted across all of their pages in the admin's timezone.
+function getBookingCaps(page) {
+  const pageTimezone = getPageTimezone(page);
+  const adminTimezone = resolveTimezone(page.admin_timezone);
+  return [
+    { limit: page.max_per_day, period: 'day', slugId: page.slug_id, timezone: pageTimezone },
+    { limit: page.max_per_week, period: 'week', slugId: page.slug_id, timezone: pageTimezone },
+    { limit: page.admin_max_per_day, period: 'day', slugId: null, timezone: adminTimezone },
+    { limit: page.admin_max_per_week, period: 'week', slugId: null, timezone: adminTimezone },
+  ].filter(cap => cap.limit);
+}
+
+const CAP_MESSAGES = {
+  day: 'No more bookings can be made on this day.',
+  week: 'No more bookings can be made in this week.',
+};
+
+// Checks the page's and the admin's daily and weekly caps for a booking starting at `start`.
+// The counted rows are locked, so concurrent bookings cannot both take the last place.
+// Returns null when there is room, otherwise { status, message }.
+async function checkBookingCaps(connection, page, start, { excludeId = null } = {}) {
+  for (const cap of getBookingCaps(page)) {
+    const range = getPeriodRange(start, cap.timezone, cap.period);
+    let query = 'SELECT id FROM appointments WHERE admin_id = ? AND appointment_date >= ? AND appointment_date < ?';
+    const params = [page.admin_id, format(range.start, 'yyyy-MM-dd HH:mm:ss'), format(range.end, 'yyyy-MM-dd HH:mm:ss')];
+
+    if (cap.slugId) {
+      query += ' AND slug_id = ?';
+      params.push(cap.slugId);
+    }
+    if (excludeId) {
+      query += ' AND id NOT IN (?)';
+      params.push([].concat(excludeId));
+    }
+
+    const [rows] = await connection.query(`${query} FOR UPDATE`, params);
+    if (rows.length >= cap.limit) {
+      return { status: 409, message: CAP_MESSAGES[cap.period] };
+    }
+  }
+  return null;
+}
+
+// Returns a function telling whether a slot start falls on a day or week whose caps are
+// already reached, given the admin's appointments ({ appointment_date, slug_id }) around it.
+function createCapChecker(page, appointments) {
+  const caps = getBookingCaps(page);
+  const cache = new Map();
+
+  return start => caps.some(cap => {
+    const range = getPeriodRange(start, cap.timezone, cap.period);
+    const key = `${cap.period}:${cap.slugId}:${cap.timezone}:${range.start.getTime()}`;
+    if (!cache.has(key)) {
+      const count = appointments.filter(a =>
+        (!cap.slugId || a.slug_id === cap.slugId) &&
+        new Date(a.appointment_date) >= range.start &&
+        new Date(a.appointment_date) < range.end
+      ).length;
+      cache.set(key, count >= cap.limit);
+    }
+    return cache.get(key);
+  });
+}
+
+// Widens [start, end) by the page's buffers: the time that must be free around a booking.
+function getBufferedInterval(page, start, end) {
+  return {
+    start: addMinutes(start, -(page.buffer_before_minutes || 0)),
+    end: addMinutes(end, page.buffer_after_minutes || 0),
+  };
+}
+
+// Checks a start time against the page's minimum notice and how far ahead it can be booked.
+// Returns null when allowed, otherwise the reason as a message.
+function checkBookingWindow(page, start, now = new Date()) {
+  if (start.getTime() < now.getTime() + (page.min_notice_minutes || 0) * 60000) {
+    return page.min_notice_minutes
+      ? `This time is too soon. Bookings need at least ${page.min_notice_minutes} minutes' notice.`
+      : 'The selected time is in the past.';
+  }
+  if (page.max_days_ahead && start.getTime() > now.getTime() + page.max_days_ahead * 24 * 60 * 60000) {
+    return `This time is too far ahead. Bookings can be made up to ${page.max_days_ahead} days in advance.`;
+  }
+  return null;
+}
+
+// Resolves the meeting length for a booking. Falls back to the page default when
+// nothing was requested, and returns null if the requested length is not offered.
+function resolveDuration(page, requestedMinutes) {
+  if (requestedMinutes === undefined || requestedMinutes === null || requestedMinutes === '') {
+    return page.duration_minutes;
+  }
+
+  const requested = Number(requestedMinutes);
+  const allowed = page.duration_options || [page.duration_minutes];
+  return allowed.includes(requested) ? requested : null;
+}
+
+// Lists the admin's appointments (on any booking page) starting in [start, end).
+async function listAppointmentsStartingBetween(connection, adminId, start, end) {
+  const [rows] = await connection.query(
+    'SELECT id, slug_id, appointment_date, end_date FROM appointments WHERE admin_id = ? AND appointment_date >= ? AND appointment_date < ?',
+    [adminId, format(start, 'yyyy-MM-dd HH:mm:ss'), format(end, 'yyyy-MM-dd HH:mm:ss')]
+  );
+  return rows;
+}
+
+// Finds the admin's appointments (on any booking page) that overlap [start, end).
+// Pass a transaction connection to lock the matching rows while booking. excludeId may be
+// one id or a list (e.g. the occurrences of a series that are being moved together).
+async function findOverlappingAppointments(connection, adminId, start, end, { excludeId = null, forUpdate = false } = {}) {
+  let query = 'SELECT id, slug_id, appointment_date, end_date FROM appointments WHERE admin_id = ? AND appointment_date < ? AND end_date > ?';
+  const params = [adminId, format(end, 'yyyy-MM-dd HH:mm:ss'), format(start, 'yyyy-MM-dd HH:mm:ss')];
+
+  if (excludeId) {
+    query += ' AND id NOT IN (?)';
+    params.push([].concat(excludeId));
+  }
+  if (forUpdate) {
+    query += ' FOR UPDATE';
+  }
+
+  const [rows] = await connection.query(query, params);
+  return rows;
+}
+
+// Finds the admin's held times that overlap [start, end): waitlist offers waiting to be
+// claimed and slot holds of clients filling in the booking form. Until it is used or expires,
+// a held time counts like a booking (of a seat, in a group session). Each row's held_by is
+// 'waitlist' or 'hold'; excludeEntryId and excludeHoldId let the holder book the time.
+async function findHeldTimes(connection, adminId, start, end, { excludeEntryId = null, excludeHoldId = null } = {}) {
+  const range = [adminId, format(end, 'yyyy-MM-dd HH:mm:ss'), format(start, 'yyyy-MM-dd HH:mm:ss')];
+  const [rows] = await connection.query(
+    `SELECT 'waitlist' AS held_by, slug_id, offered_start AS appointment_date, offered_end AS end_date
+    FROM waitlist_entries
+    WHERE admin_id = ? AND status = 'offered' AND offer_expires_at > UTC_TIMESTAMP()
+      AND offered_start < ? AND offered_end > ? AND id <> ?
+    UNION ALL
+    SELECT 'hold' AS held_by, slug_id, starts_at AS appointment_date, ends_at AS end_date
+    FROM slot_holds
+    WHERE admin_id = ? AND expires_at > UTC_TIMESTAMP()
+      AND starts_at < ? AND ends_at > ? AND id <> ?`,
+    [...range, excludeEntryId || 0, ...range, excludeHoldId || 0]
+  );
+  return rows;
+}
+
+// Locks the admin's row for the rest of the transaction. Every change to an admin's schedule
+// takes this lock before checking for overlaps, so two concurrent bookings (or holds) can
+// never both see the same time as free.
+async function lockAdminSchedule(connection, adminId) {
+  await connection.query('SELECT id FROM admins WHERE id = ? FOR UPDATE', [adminId]);
+}
+
+// Loads the scheduling settings (timezone, durations and weekly rules) of a booking page.
+async function getSchedulingSettings(slugId, connection = db) {
+  const [pages] = await connection.query(
+    `SELECT s.id as slug_id, s.admin_id, s.slug, s.timezone, a.timezone AS admin_timezone,
+      s.slot_interval_minutes, s.duration_minutes, s.duration_options,
+      s.min_notice_minutes, s.max_days_ahead, s.buffer_before_minutes, s.buffer_after_minutes,
+      s.max_per_day, s.max_per_week, s.capacity, a.max_per_day AS admin_max_per_day, a.max_per_week AS admin_max_per_week
+    FROM slugs s
+    JOIN admins a ON s.admin_id = a.id
+    WHERE s.id = ?`,
+    [slugId]
+  );
+  if (pages.length === 0) {
+    return null;
+  }
+  const availability = await getAvailabilityRules(slugId, connection);
+  return { ...pages[0], availability };
+}
+
+// Runs the booking checks for [start, end) inside a transaction: the slot must respect the
+// page's notice window, weekly rules (or an extra window), blackouts and daily/weekly caps,
+// and, with the page's buffers around it, must not overlap any other appointment of the
+// admin except seats of the same group session, which must not be full. Held times count as
+// booked, except the waitlist offer (excludeEntryId) or slot hold (excludeHoldId) being used.
+// Admin changes skip the notice window and caps by passing adminOverride: true.
+// Returns null when the slot can be taken, otherwise { status, message } for the response.
+async function checkSlotAvailability(connection, page, adminId, start, end, { excludeId = null, excludeEntryId = null, excludeHoldId = null, adminOverride = false } = {}) {
+  const durationMinutes = Math.round((end - start) / 60000);
+
+  await lockAdminSchedule(connection, adminId);
+
+  if (page && !adminOverride) {
+    const windowError = checkBookingWindow(page, start);
+    if (windowError) {
+      return { status: 400, message: windowError };
+    }
+  }
+
+  const exceptions = await getAvailabilityExceptions(connection, adminId, page ? page.slug_id : null, start, end);
+
+  // Pages without any weekly rules stay open at any time, as they did before rules existed.
+  // Extra one-off windows open times the weekly rules do not cover.
+  if (page && page.availability.length > 0 &&
+      !isSlotWithinRules(page.availability, getPageTimezone(page), start, page.slot_interval_minutes, durationMinutes) &&
+      !isSlotWithinExtras(exceptions.extras, start, page.slot_interval_minutes, durationMinutes)) {
+    return { status: 400, message: 'The selected time is outside the available booking hours.' };
+  }
+
+  if (overlapsAnyWindow({ start, end }, exceptions.blackouts)) {
+    return { status: 400, message: 'The selected time is unavailable.' };
+  }
+
+  const buffered = page ? getBufferedInterval(page, start, end) : { start, end };
+  const overlapping = await findOverlappingAppointments(connection, adminId, buffered.start, buffered.end, { excludeId, forUpdate: true });
+  const held = await findHeldTimes(connection, adminId, buffered.start, buffered.end, { excludeEntryId, excludeHoldId });
+  const taken = [...overlapping, ...held];
+  if (getSeatsRemaining(page, start, end, taken) === 0) {
+    if (getSeatsRemaining(page, start, end, overlapping) > 0) {
+      return {
+        status: 409,
+        message: held.some(h => h.held_by === 'waitlist')
+          ? 'This time is being held for someone on the waitlist.'
+          : 'This time is being held while another client completes their booking. Please try again in a few minutes.',
+      };
+    }
+    const isFullSession = overlapping.length > 0 && overlapping.every(appointment => isSameSession(page, appointment, start, end));
+    return {
+      status: 409,
+      message: isFullSession ? 'This session is full.' : 'This time slot is already booked for this provider.',
+    };
+  }
+
+  if (page && !adminOverride) {
+    return checkBookingCaps(connection, page, start, { excludeId });
+  }
+
+  return null;
+}
+
+// True if an appointment is a seat in the group session [start, end) of the page: pages
+// with a capacity above one let several clients book the exact same time.
+function isSameSession(page, appointment, start, end) {
+  return Boolean(page) && page.capacity > 1 &&
+    appointment.slug_id === page.slug_id &&
+    new Date(appointment.appointment_date).getTime() === start.getTime() &&
+    new Date(appointment.end_date).getTime() === end.getTime();
+}
+
+// Counts the seats left in the session [start, end) given the admin's appointments that
+// overlap it (buffers included). Returns 0 when the session is full or the time is taken
+// by anything other than the session itself.
+function getSeatsRemaining(page, start, end, overlapping) {
+  const seatsTaken = overlapping.filter(appointment => isSameSession(page, appointment, start, end)).length;
+  if (seatsTaken < overlapping.length) {
+    return 0;
+  }
+  return Math.max((page ? page.capacity || 1 : 1) - seatsTaken, 0);
+}
+
+// True if the slot overlaps any of the given { appointment_date, end_date } intervals.
+function overlapsAny(slot, intervals) {
+  return intervals.some(interval =>
+    slot.start < new Date(interval.end_date) && slot.end > new Date(interval.appointment_date)
+  );
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  normalizeAvailabilityRules,
+  getAvailabilityRules,
+  getPageTimezone,
+  listDays,
+  generateSlots,
+  isSlotWithinRules,
+  normalizeDurationSettings,
+  normalizeBookingLimits,
+  normalizeBookingCaps,
+  getPeriodRange,
+  getBookingCaps,
+  checkBookingCaps,
+  createCapChecker,
+  getBufferedInterval,
+  checkBookingWindow,
+  resolveDuration,
+  listAppointmentsStartingBetween,
+  findOverlappingAppointments,
+  findHeldTimes,
+  lockAdminSchedule,
+  overlapsAny,
+  isSameSession,
+  getSeatsRemaining,
+  getAvailabilityExceptions,
+  generateExtraSlots,
+  overlapsAnyWindow,
+  getSchedulingSettings,
+  checkSlotAvailability,
+};
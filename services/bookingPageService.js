@@ -0,0 +1,44 @@
+// Descriptive settings of a booking page, shown to clients on the booking form and
+// included in confirmation emails and calendar invites.
+
+const PAGE_DETAIL_LIMITS = {
+  title: 255,
+  description: 5000,
+  location: 500,
+};
+
+// Validates the title, description and location sent by an admin. Only the settings
+// present in `input` are returned; an empty string or null clears a setting.
+// Returns { details } on success or { error }.
+function normalizePageDetails(input) {
+  const details = {};
+  for (const [key, maxLength] of Object.entries(PAGE_DETAIL_LIMITS)) {
+    if (input[key] === undefined) continue;
+
+    if (input[key] !== null && typeof input[key] !== 'string') {
+      return { error: `${key} must be a string or null.` };
+    }
+    const value = input[key] === null ? '' : input[key].trim();
+    if (value.length > maxLength) {
+      return { error: `${key} must be ${maxLength} characters or fewer.` };
+    }
+    details[key] = value || null;
+  }
+  return { details };
+}
+
+// True when a location is a web address (a video call link) rather than a place.
+function isLinkLocation(location) {
+  return /^https?:\/\/\S+$/i.test(String(location || ''));
+}
+
+// Builds the client-facing link to a booking page, e.g. to book again after a meeting.
+function buildBookingPageLink(adminSlug, bookingSlug) {
+  return `${process.env.FRONTEND_URL}/${adminSlug}/${bookingSlug}`;
+}
+
+module.exports = {
+  normalizePageDetails,
+  isLinkLocation,
+  buildBookingPageLink,
+};
@@ -1,133 +1,275 @@
-const nodemailer = require('nodemailer');
-const { formatInTimeZone } = require('date-fns-tz');
+const { buildIcsAttachment } = require('./icsService');
+const { enqueueEmail } = require('./outboxService');
+const { renderAppointmentEmail, getAppointmentCustomFields } = require('./templateService');
+const { escapeHtml, htmlToText } = require('../utils/html');
 require('dotenv').config();
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+// The sender address. Set MAIL_FROM when not using the Gmail driver, which sends as EMAIL_USER.
+function getFromAddress() {
+  return process.env.MAIL_FROM || process.env.EMAIL_USER;
+}
+
+// Options shared by every .ics file sent for an appointment, so the event looks the
+// same in the client's calendar whether it came from a confirmation, update or cancellation.
+function getIcsOptions(appointmentDetails, adminNotificationEmail) {
+  const appName = process.env.CLIENT_FACING_APP_NAME;
+  return {
+    summary: appointmentDetails.booking_title
+      ? `${appointmentDetails.booking_title} with ${appName}`
+      : `Appointment with ${appName}`,
+    description: appointmentDetails.details || '',
+    location: appointmentDetails.location || undefined,
+    organizerEmail: adminNotificationEmail || getFromAddress(),
+    organizerName: appName,
+  };
+}
 
-// MODIFIED: Accepts customData object for additional email details
-async function sendBookingEmails(appointmentDetails, clientTimezone, adminNotificationEmail, customData = {}) {
-  const { id, client_name, client_email, appointment_date, details } = appointmentDetails;
+// The events an email's .ics file covers: every listed occurrence of a series, else the appointment alone.
+function getIcsEvents(appointmentDetails, occurrences) {
+  return occurrences.length > 0 ? occurrences : appointmentDetails;
+}
 
-  const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
+// The appointment emails below take an optional `connection`. Given the connection of the
+// transaction that makes the change, they are queued in that transaction, so the change and
+// its emails are committed together, and a failure is thrown for the caller to roll back.
+// Without one, they are queued on their own and failures are logged.
+function handleQueueError(error, connection, description) {
+  if (connection) {
+    throw error;
+  }
+  console.error(`Error queueing ${description}:`, error);
+}
+
+// Sends the client confirmation and (unless notifyAdmin is false) the admin notification for a new booking.
+// customFields is a list of { name, label, value } answers from the booking form.
+// For a recurring booking, `occurrences` lists every booked occurrence of the series.
+async function sendBookingEmails(appointmentDetails, clientTimezone, adminNotificationEmail, customFields = [], { notifyAdmin = true, occurrences = [], connection = null } = {}) {
+  const { client_email, manage_links } = appointmentDetails;
   const appName = process.env.CLIENT_FACING_APP_NAME;
-  const dateTimeFormat = 'MMMM d, yyyy \'at\' p';
 
-  const clientLocalTime = formatInTimeZone(appointment_date, clientTimezone, dateTimeFormat);
-  const appLocalTime = formatInTimeZone(appointment_date, appDefaultTimezone, dateTimeFormat);
-  
-  // NEW: Generate HTML for custom fields
-  let customFieldsHtml = '';
-  if (Object.keys(customData).length > 0) {
-      for (const [label, value] of Object.entries(customData)) {
-          customFieldsHtml += `<li><strong>${label}:</strong> ${value}</li>`;
-      }
+  const contextOptions = { clientTimezone, customFields, manageLinks: manage_links, occurrences };
+  const invite = buildIcsAttachment(getIcsEvents(appointmentDetails, occurrences), 'REQUEST', getIcsOptions(appointmentDetails, adminNotificationEmail));
+
+  try {
+    const clientEmail = await renderAppointmentEmail('booking_confirmation', appointmentDetails, contextOptions);
+
+    const clientMailOptions = {
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: client_email,
+      subject: clientEmail.subject,
+      html: clientEmail.html,
+      text: clientEmail.text,
+      attachments: [invite],
+    };
+    const messages = [enqueueEmail(clientMailOptions, { kind: 'booking_confirmation', adminId: appointmentDetails.admin_id }, connection)];
+
+    if (notifyAdmin) {
+      const adminEmail = await renderAppointmentEmail('admin_notification', appointmentDetails, contextOptions);
+      messages.push(enqueueEmail({
+        from: `"${appName} Booker" <${getFromAddress()}>`,
+        to: adminNotificationEmail,
+        subject: adminEmail.subject,
+        html: adminEmail.html,
+        text: adminEmail.text,
+        attachments: [invite],
+      }, { kind: 'admin_notification', adminId: appointmentDetails.admin_id }, connection));
+    }
+
+    await Promise.all(messages);
+    console.log('Booking confirmation emails queued successfully.');
+  } catch (error) {
+    handleQueueError(error, connection, 'booking emails');
   }
+}
 
-  const clientMailOptions = {
-    from: `"${appName}" <${process.env.EMAIL_USER}>`,
-    to: client_email,
-    subject: `✅ Your Appointment is Confirmed!`,
-    html: `
-      <h1>Hi ${client_name},</h1>
-      <p>Your appointment has been successfully booked. Here are the details:</p>
-      <ul>
-        <li><strong>Date & Time:</strong> ${clientLocalTime} (${clientTimezone})</li>
-        ${customFieldsHtml} 
-        <li><strong>Details:</strong> ${details || 'N/A'}</li>
-      </ul>
-      <p>We look forward to meeting with you!</p>
-    `,
-  };
+// Sends the client (and, unless notifyAdmin is false, the admin) the notice that an appointment was cancelled.
+// `occurrences` lists every cancelled occurrence when several occurrences of a series are cancelled together.
+async function sendCancellationEmails(appointmentDetails, customMessage = null, adminNotificationEmail, { notifyAdmin = true, occurrences = [], connection = null } = {}) {
+  const { client_email } = appointmentDetails;
+  const appName = process.env.CLIENT_FACING_APP_NAME;
 
-  const adminMailOptions = {
-    from: `"${appName} Booker" <${process.env.EMAIL_USER}>`,
-    to: adminNotificationEmail,
-    subject: `🎉 New Appointment with ${client_name}`,
-    html: `
-      <h1>A new appointment has been booked.</h1>
-      <h3>Appointment Details:</h3>
-      <ul>
-        <li><strong>Client Name:</strong> ${client_name}</li>
-        <li><strong>Client Email:</strong> ${client_email}</li>
-        <li><strong>Time (App Timezone - ${appDefaultTimezone}):</strong> ${appLocalTime}</li>
-        <li><strong>Time (Client Timezone - ${clientTimezone}):</strong> ${clientLocalTime}</li>
-        ${customFieldsHtml}
-        <li><strong>Details:</strong> ${details || 'N/A'}</li>
-      </ul>
-    `,
-  };
+  const cancellation = buildIcsAttachment(
+    getIcsEvents(appointmentDetails, occurrences),
+    'CANCEL',
+    getIcsOptions(appointmentDetails, adminNotificationEmail)
+  );
 
   try {
-    await Promise.all([
-        transporter.sendMail(clientMailOptions), 
-        transporter.sendMail(adminMailOptions)
-    ]);
-    console.log('Client confirmation and admin notification emails sent successfully.');
+    const contextOptions = { message: customMessage, occurrences };
+    const clientEmail = await renderAppointmentEmail('cancellation', appointmentDetails, contextOptions);
+
+    const clientMailOptions = {
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: client_email,
+      subject: clientEmail.subject,
+      html: clientEmail.html,
+      text: clientEmail.text,
+      attachments: [cancellation],
+    };
+    const messages = [enqueueEmail(clientMailOptions, { kind: 'cancellation', adminId: appointmentDetails.admin_id }, connection)];
+
+    if (notifyAdmin) {
+      const adminEmail = await renderAppointmentEmail('admin_cancellation', appointmentDetails, contextOptions);
+      messages.push(enqueueEmail({
+        from: `"${appName} Notifier" <${getFromAddress()}>`,
+        to: adminNotificationEmail, // USE THE ADMIN'S SPECIFIC EMAIL
+        subject: adminEmail.subject,
+        html: adminEmail.html,
+        text: adminEmail.text,
+        attachments: [cancellation],
+      }, { kind: 'admin_cancellation', adminId: appointmentDetails.admin_id }, connection));
+    }
+
+    await Promise.all(messages);
+    console.log('Cancellation notification emails queued successfully.');
   } catch (error) {
-    console.error('Error sending booking emails:', error);
+    handleQueueError(error, connection, 'cancellation emails');
   }
 }
 
-// ... (The rest of the file remains the same)
-async function sendCancellationEmails(appointmentDetails, customMessage = null, adminNotificationEmail) {
-  const { client_name, client_email, appointment_date, details } = appointmentDetails;
+// Sends every attendee of a cancelled group session their own cancellation, and the admin a
+// single notice listing them all.
+async function sendSessionCancellationEmails(attendees, customMessage = null, adminNotificationEmail, { connection = null } = {}) {
+  const appName = process.env.CLIENT_FACING_APP_NAME;
+  const [first] = attendees;
 
-  const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
+  for (const attendee of attendees) {
+    await sendCancellationEmails(attendee, customMessage, adminNotificationEmail, { notifyAdmin: false, connection });
+  }
+
+  try {
+    const adminEmail = await renderAppointmentEmail('admin_session_cancellation', first, { message: customMessage, attendees });
+    await enqueueEmail({
+      from: `"${appName} Notifier" <${getFromAddress()}>`,
+      to: adminNotificationEmail,
+      subject: adminEmail.subject,
+      html: adminEmail.html,
+      text: adminEmail.text,
+      attachments: [buildIcsAttachment(attendees, 'CANCEL', getIcsOptions(first, adminNotificationEmail))],
+    }, { kind: 'admin_session_cancellation', adminId: first.admin_id }, connection);
+    console.log('Session cancellation notice queued successfully.');
+  } catch (error) {
+    handleQueueError(error, connection, 'session cancellation notice');
+  }
+}
+
+// Notifies the client (and, unless notifyAdmin is false, the admin) that an appointment has moved to a new time.
+// `occurrences` lists every moved occurrence when several occurrences of a series are rescheduled together.
+async function sendRescheduleEmails(appointmentDetails, previousAppointmentDate, clientTimezone, adminNotificationEmail, { notifyAdmin = true, occurrences = [], connection = null } = {}) {
+  const { client_email } = appointmentDetails;
   const appName = process.env.CLIENT_FACING_APP_NAME;
-  const dateTimeFormat = 'MMMM d, yyyy \'at\' p';
-  const appLocalTime = formatInTimeZone(appointment_date, appDefaultTimezone, dateTimeFormat);
 
-  let customMessageHtml = '';
-  if (customMessage) {
-    customMessageHtml = `<p style="padding: 10px; border-left: 3px solid #ccc; font-style: italic;">${customMessage}</p>`;
+  const contextOptions = { clientTimezone, previousDate: previousAppointmentDate, occurrences };
+  const invite = buildIcsAttachment(getIcsEvents(appointmentDetails, occurrences), 'REQUEST', getIcsOptions(appointmentDetails, adminNotificationEmail));
+
+  try {
+    const clientEmail = await renderAppointmentEmail('reschedule', appointmentDetails, contextOptions);
+    const messages = [enqueueEmail({
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: client_email,
+      subject: clientEmail.subject,
+      html: clientEmail.html,
+      text: clientEmail.text,
+      attachments: [invite],
+    }, { kind: 'reschedule', adminId: appointmentDetails.admin_id }, connection)];
+
+    if (notifyAdmin) {
+      const adminEmail = await renderAppointmentEmail('admin_reschedule', appointmentDetails, contextOptions);
+      messages.push(enqueueEmail({
+        from: `"${appName} Notifier" <${getFromAddress()}>`,
+        to: adminNotificationEmail,
+        subject: adminEmail.subject,
+        html: adminEmail.html,
+        text: adminEmail.text,
+        attachments: [invite],
+      }, { kind: 'admin_reschedule', adminId: appointmentDetails.admin_id }, connection));
+    }
+
+    await Promise.all(messages);
+    console.log('Reschedule notification emails queued successfully.');
+  } catch (error) {
+    handleQueueError(error, connection, 'reschedule emails');
   }
+}
 
-  const clientMailOptions = {
-    from: `"${appName}" <${process.env.EMAIL_USER}>`,
-    to: client_email,
-    subject: `❌ Your Appointment has been Cancelled`,
-    html: `
-      <h1>Hi ${client_name},</h1>
-      <p>This is a confirmation that your appointment has been cancelled.</p>
-      ${customMessageHtml} 
-      <p>Here are the details of the cancelled meeting:</p>
-      <ul>
-        <li><strong>Date & Time:</strong> ${appLocalTime} (${appDefaultTimezone})</li>
-        <li><strong>Details:</strong> ${details || 'N/A'}</li>
-      </ul>
-      <p>If you believe this was a mistake, please contact us to reschedule.</p>
-    `,
-  };
+// Tells the client their booking request was received, and asks the admin to approve or
+// decline it using `approvalLinks` before `approvalDeadline`. No calendar invite is sent
+// until the request is approved.
+async function sendApprovalRequestEmails(appointmentDetails, clientTimezone, adminNotificationEmail, customFields = [], { occurrences = [], approvalLinks, approvalDeadline, connection = null } = {}) {
+  const { client_email } = appointmentDetails;
+  const appName = process.env.CLIENT_FACING_APP_NAME;
 
-  const adminMailOptions = {
-    from: `"${appName} Notifier" <${process.env.EMAIL_USER}>`,
-    to: adminNotificationEmail, // USE THE ADMIN'S SPECIFIC EMAIL
-    subject: `❗️ Appointment Cancelled with ${client_name}`,
-    html: `
-      <h1>An appointment has been cancelled.</h1>
-      <h3>Cancelled Appointment Details:</h3>
-      <ul>
-        <li><strong>Client Name:</strong> ${client_name}</li>
-        <li><strong>Client Email:</strong> ${client_email}</li>
-        <li><strong>Time (App Timezone):</strong> ${appLocalTime}</li>
-      </ul>
-    `,
-  };
+  const contextOptions = { clientTimezone, customFields, occurrences, approvalLinks, approvalDeadline };
 
   try {
+    const clientEmail = await renderAppointmentEmail('booking_request_received', appointmentDetails, contextOptions);
+    const adminEmail = await renderAppointmentEmail('admin_approval_request', appointmentDetails, contextOptions);
+
     await Promise.all([
-        transporter.sendMail(clientMailOptions),
-        transporter.sendMail(adminMailOptions)
+      enqueueEmail({
+        from: `"${appName}" <${getFromAddress()}>`,
+        to: client_email,
+        subject: clientEmail.subject,
+        html: clientEmail.html,
+        text: clientEmail.text,
+      }, { kind: 'booking_request_received', adminId: appointmentDetails.admin_id }, connection),
+      enqueueEmail({
+        from: `"${appName} Booker" <${getFromAddress()}>`,
+        to: adminNotificationEmail,
+        subject: adminEmail.subject,
+        html: adminEmail.html,
+        text: adminEmail.text,
+      }, { kind: 'admin_approval_request', adminId: appointmentDetails.admin_id }, connection),
     ]);
-    console.log('Cancellation notification emails sent successfully.');
+    console.log('Booking request and approval request emails queued successfully.');
+  } catch (error) {
+    handleQueueError(error, connection, 'booking request emails');
+  }
+}
+
+// Tells the client their booking request was declined, by the admin or because nobody
+// answered it in time. `reason` is the admin's optional message to the client.
+async function sendBookingDeclinedEmail(appointmentDetails, reason = null, { occurrences = [], connection = null } = {}) {
+  const appName = process.env.CLIENT_FACING_APP_NAME;
+
+  try {
+    const email = await renderAppointmentEmail('booking_declined', appointmentDetails, { message: reason, occurrences });
+
+    await enqueueEmail({
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: appointmentDetails.client_email,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    }, { kind: 'booking_declined', adminId: appointmentDetails.admin_id }, connection);
+    console.log(`Queued declined booking notice for ${appointmentDetails.client_name}.`);
+  } catch (error) {
+    handleQueueError(error, connection, 'declined booking email');
+  }
+}
+
+// Offers a freed time to a client on the waitlist. `entry` is the waitlist entry with the
+// offered time as appointment_date and end_date; the claim link is valid until `expiresAt`.
+async function sendWaitlistOfferEmail(entry, claimLink, expiresAt) {
+  const appName = process.env.CLIENT_FACING_APP_NAME;
+
+  try {
+    const email = await renderAppointmentEmail('waitlist_offer', entry, { claimLink, claimDeadline: expiresAt });
+
+    const mailOptions = {
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: entry.client_email,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    };
+
+    await enqueueEmail(mailOptions, { kind: 'waitlist_offer', adminId: entry.admin_id });
+    console.log(`Queued waitlist offer for ${entry.client_name} (Waitlist entry ID: ${entry.id}).`);
+    return true;
   } catch (error) {
-    console.error('Error sending cancellation emails:', error);
+    console.error(`Failed to queue waitlist offer for entry ID ${entry.id}:`, error);
+    return false;
   }
 }
 
@@ -135,86 +277,68 @@ async function sendReminderEmail(reminderDetails) {
   const { 
     client_name, 
     client_email, 
-    appointment_date, 
-    details,
     reminder_id,
+    appointment_id,
+    admin_id,
     message
   } = reminderDetails;
 
-  const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
   const appName = process.env.CLIENT_FACING_APP_NAME;
-  const dateTimeFormat = 'MMMM d, yyyy \'at\' p';
-  const appLocalTime = formatInTimeZone(appointment_date, appDefaultTimezone, dateTimeFormat);
 
-  let customMessageHtml = '';
-  if (message) {
-    customMessageHtml = `<p style="padding: 10px; border-left: 3px solid #ccc; font-style: italic;">${message}</p>`;
-  }
+  try {
+    const customFields = await getAppointmentCustomFields(appointment_id);
+    const email = await renderAppointmentEmail('reminder', reminderDetails, { message, customFields });
 
-  const mailOptions = {
-    from: `"${appName}" <${process.env.EMAIL_USER}>`,
-    to: client_email,
-    subject: `⏰ Reminder: Your Appointment is Soon!`,
-    html: `
-      <h1>Hi ${client_name},</h1>
-      <p>This is a friendly reminder about your upcoming appointment.</p>
-      ${customMessageHtml}
-      <h3>Appointment Details:</h3>
-      <ul>
-        <li><strong>Date & Time:</strong> ${appLocalTime} (${appDefaultTimezone})</li>
-        <li><strong>Details:</strong> ${details || 'N/A'}</li>
-      </ul>
-      <p>We look forward to seeing you soon!</p>
-    `,
-  };
+    const mailOptions = {
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: client_email,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    };
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log(`Successfully sent reminder for appointment with ${client_name} (Reminder ID: ${reminder_id}).`);
+    await enqueueEmail(mailOptions, { kind: 'reminder', adminId: admin_id });
+    console.log(`Queued reminder for appointment with ${client_name} (Reminder ID: ${reminder_id}).`);
     return true;
   } catch (error) {
-    console.error(`Failed to send reminder ID ${reminder_id}:`, error);
+    console.error(`Failed to queue reminder ID ${reminder_id}:`, error);
     return false;
   }
 }
 
+// Sends one follow-up message of an appointment. A step of a follow-up sequence can bring its
+// own subject and body_html; otherwise the thank_you template is used.
 async function sendThankYouEmail(thankYouDetails) {
   const { 
     client_name, 
     client_email, 
-    appointment_date, 
-    message
+    appointment_id,
+    admin_id,
+    message,
+    subject,
+    body_html
   } = thankYouDetails;
 
-  const appDefaultTimezone = process.env.DEFAULT_TIMEZONE;
   const appName = process.env.CLIENT_FACING_APP_NAME;
-  const dateTimeFormat = 'MMMM d, yyyy';
-  const appLocalDate = formatInTimeZone(appointment_date, appDefaultTimezone, dateTimeFormat);
 
-  let customMessageHtml = '';
-  if (message) {
-    customMessageHtml = `<p style="padding: 10px; border-left: 3px solid #ccc; font-style: italic;">${message}</p>`;
-  }
+  try {
+    const customFields = await getAppointmentCustomFields(appointment_id);
+    const template = subject && body_html ? { subject, body_html } : null;
+    const email = await renderAppointmentEmail('thank_you', thankYouDetails, { message, customFields, template });
 
-  const mailOptions = {
-    from: `"${appName}" <${process.env.EMAIL_USER}>`,
-    to: client_email,
-    subject: `Thank you for our meeting!`,
-    html: `
-      <h1>Hi ${client_name},</h1>
-      <p>Just a quick note to say thank you for your meeting with us on ${appLocalDate}.</p>
-      ${customMessageHtml}
-      <p>We appreciate your time and look forward to our next steps together.</p>
-      <p>Best regards,<br/>The ${appName} Team</p>
-    `,
-  };
+    const mailOptions = {
+      from: `"${appName}" <${getFromAddress()}>`,
+      to: client_email,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+    };
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log(`Successfully sent thank you message for appointment with ${client_name}.`);
+    await enqueueEmail(mailOptions, { kind: 'thank_you', adminId: admin_id });
+    console.log(`Queued thank you message for appointment with ${client_name}.`);
     return true;
   } catch (error) {
-    console.error(`Failed to send thank you message for appointment with ${client_name}:`, error);
+    console.error(`Failed to queue thank you message for appointment with ${client_name}:`, error);
     return false;
   }
 }
@@ -231,23 +355,24 @@ async function sendPasswordResetEmail(userEmail, resetToken) {
   const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
   const mailOptions = {
-    from: `"${appName}" <${process.env.EMAIL_USER}>`,
+    from: `"${appName}" <${getFromAddress()}>`,
     to: userEmail,
     subject: `Password Reset Request for ${appName}`,
     html: `
       <h1>You have requested a password reset</h1>
       <p>Please click on the following link to create a new password. This link is valid for 1 hour.</p>
-      <p><a href="${resetUrl}" style="font-weight: bold; color: #1a73e8;">Reset Your Password</a></p>
+      <p><a href="${escapeHtml(resetUrl)}" style="font-weight: bold; color: #1a73e8;">Reset Your Password</a></p>
       <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
     `,
   };
+  mailOptions.text = htmlToText(mailOptions.html);
 
   try {
-    await transporter.sendMail(mailOptions);
-    console.log(`Successfully sent password reset email to ${userEmail}.`);
+    await enqueueEmail(mailOptions, { kind: 'password_reset' });
+    console.log(`Queued password reset email to ${userEmail}.`);
     return true;
   } catch (error) {
-    console.error(`Failed to send password reset email to ${userEmail}:`, error);
+    console.error(`Failed to queue password reset email to ${userEmail}:`, error);
     return false;
   }
 }
@@ -257,7 +382,12 @@ async function sendPasswordResetEmail(userEmail, resetToken) {
 module.exports = { 
   sendBookingEmails, 
   sendCancellationEmails, 
+  sendSessionCancellationEmails,
+  sendRescheduleEmails,
+  sendApprovalRequestEmails,
+  sendBookingDeclinedEmail,
   sendReminderEmail, 
   sendThankYouEmail,
+  sendWaitlistOfferEmail,
   sendPasswordResetEmail // Add the new function to the exports
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+const db = require('../config/db');
+
+// The most steps a booking page's follow-up sequence can have.
+const MAX_FOLLOWUP_STEPS = 5;
+
+// How long after a meeting a follow-up can be sent (90 days).
+const MAX_MINUTES_AFTER = 90 * 24 * 60;
+
+// When a page without its own sequence sends its single default thank-you message.
+const DEFAULT_FOLLOWUP_MINUTES = 24 * 60;
+
+// Validates the steps of a follow-up sequence: [{ minutes_after, message, subject, body_html }].
+// subject and body_html replace the page's thank_you template for the step and must be given
+// together. Returns { steps } in sending order, or { error }.
+function normalizeFollowupSteps(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'steps must be an array of { minutes_after, message, subject, body_html }.' };
+  }
+  if (input.length > MAX_FOLLOWUP_STEPS) {
+    return { error: `A follow-up sequence can have at most ${MAX_FOLLOWUP_STEPS} steps.` };
+  }
+
+  const steps = [];
+  for (const step of input) {
+    const minutesAfter = Number(step && step.minutes_after);
+    if (!Number.isInteger(minutesAfter) || minutesAfter < 0 || minutesAfter > MAX_MINUTES_AFTER) {
+      return { error: `minutes_after must be a whole number between 0 and ${MAX_MINUTES_AFTER}.` };
+    }
+
+    for (const key of ['message', 'subject', 'body_html']) {
+      if (step[key] !== undefined && step[key] !== null && typeof step[key] !== 'string') {
+        return { error: `${key} must be text or null.` };
+      }
+    }
+    const subject = (step.subject && step.subject.trim()) || null;
+    const bodyHtml = (step.body_html && step.body_html.trim()) || null;
+    if (Boolean(subject) !== Boolean(bodyHtml)) {
+      return { error: 'subject and body_html must be given together, or both left out to use the thank_you template.' };
+    }
+    if (subject && subject.length > 255) {
+      return { error: 'subject must be 255 characters or fewer.' };
+    }
+
+    steps.push({
+      minutes_after: minutesAfter,
+      message: (step.message && step.message.trim()) || null,
+      subject,
+      body_html: bodyHtml,
+    });
+  }
+
+  steps.sort((a, b) => a.minutes_after - b.minutes_after);
+  return { steps };
+}
+
+// Returns a booking page's follow-up sequence as { enabled, steps }, or null if there is no such page.
+async function getFollowupSequence(slugId, connection = db) {
+  const [slugs] = await connection.query('SELECT followups_enabled FROM slugs WHERE id = ?', [slugId]);
+  if (slugs.length === 0) {
+    return null;
+  }
+
+  const [steps] = await connection.query(
+    'SELECT id, minutes_after, message, subject, body_html FROM slug_followups WHERE slug_id = ? ORDER BY position ASC, id ASC',
+    [slugId]
+  );
+  return { enabled: Boolean(slugs[0].followups_enabled), steps };
+}
+
+// The appointments a follow-up change applies to: one appointment, or every booking on a page.
+function getTargetFilter({ appointmentId = null, slugId = null }) {
+  return appointmentId ? ['a.id', appointmentId] : ['a.slug_id', slugId];
+}
+
+// Matches the messages (`o`) of an appointment that stand in for a step or the default
+// message: edited by the admin, deleted by the admin, or cancelled for a no-show.
+const OVERRIDDEN = "AND (o.is_manual = 1 OR o.status IN ('deleted', 'cancelled'))";
+
+// Deletes the pending follow-ups of the target appointments that came from a sequence.
+async function deletePendingFollowups(connection, target) {
+  const [column, value] = getTargetFilter(target);
+  await connection.query(
+    `DELETE ty FROM thank_you_messages ty
+    JOIN appointments a ON ty.appointment_id = a.id
+    WHERE ${column} = ? AND ty.is_manual = 0 AND ty.status = 'pending'`,
+    [value]
+  );
+}
+
+// Makes the pending follow-ups of one appointment ({ appointmentId }) or of every booking on
+// a page ({ slugId }) match the page's current sequence, inside the caller's transaction:
+// each step of the sequence, the default thank-you message if the page has no steps (or the
+// appointment no page), or nothing if follow-ups are turned off. Messages an admin added or
+// edited by hand are not touched. A step (or default message) the admin edited or deleted for
+// the appointment, or that was cancelled for a no-show, is not made again, and neither is a
+// follow-up whose time has passed. Booking requests get theirs once they are approved.
+async function scheduleFollowups(connection, target) {
+  await deletePendingFollowups(connection, target);
+
+  const [column, value] = getTargetFilter(target);
+  await connection.query(
+    `INSERT INTO thank_you_messages (appointment_id, followup_id, send_time, message)
+    SELECT a.id, f.id, DATE_ADD(a.appointment_date, INTERVAL f.minutes_after MINUTE), f.message
+    FROM appointments a
+    JOIN slugs s ON a.slug_id = s.id
+    JOIN slug_followups f ON f.slug_id = s.id
+    WHERE ${column} = ? AND a.status <> 'pending_approval' AND s.followups_enabled = 1
+      AND DATE_ADD(a.appointment_date, INTERVAL f.minutes_after MINUTE) > UTC_TIMESTAMP()
+      AND NOT EXISTS (
+        SELECT 1 FROM thank_you_messages o
+        WHERE o.appointment_id = a.id AND o.followup_id = f.id ${OVERRIDDEN}
+      )`,
+    [value]
+  );
+  await connection.query(
+    `INSERT INTO thank_you_messages (appointment_id, is_default, send_time, message)
+    SELECT a.id, 1, DATE_ADD(a.appointment_date, INTERVAL ? MINUTE), NULL
+    FROM appointments a
+    LEFT JOIN slugs s ON a.slug_id = s.id
+    WHERE ${column} = ? AND a.status <> 'pending_approval'
+      AND (s.id IS NULL OR (s.followups_enabled = 1 AND NOT EXISTS (SELECT 1 FROM slug_followups f WHERE f.slug_id = s.id)))
+      AND DATE_ADD(a.appointment_date, INTERVAL ? MINUTE) > UTC_TIMESTAMP()
+      AND NOT EXISTS (
+        SELECT 1 FROM thank_you_messages o
+        WHERE o.appointment_id = a.id AND o.is_default = 1 ${OVERRIDDEN}
+      )`,
+    [DEFAULT_FOLLOWUP_MINUTES, value, DEFAULT_FOLLOWUP_MINUTES]
+  );
+}
+
+// Replaces a booking page's follow-up sequence (and, if `enabled` is given, turns follow-ups
+// on or off) inside the caller's transaction, then reschedules the pending follow-ups of its
+// bookings to match. Leaving `steps` out keeps the current steps.
+async function saveFollowupSequence(connection, slugId, { enabled, steps }) {
+  // Deleting a step would only detach its messages, so they go first.
+  await deletePendingFollowups(connection, { slugId });
+
+  if (enabled !== undefined) {
+    await connection.query('UPDATE slugs SET followups_enabled = ? WHERE id = ?', [enabled, slugId]);
+  }
+  if (steps !== undefined) {
+    await connection.query('DELETE FROM slug_followups WHERE slug_id = ?', [slugId]);
+    if (steps.length > 0) {
+      await connection.query(
+        'INSERT INTO slug_followups (slug_id, position, minutes_after, message, subject, body_html) VALUES ?',
+        [steps.map((step, index) => [slugId, index, step.minutes_after, step.message, step.subject, step.body_html])]
+      );
+    }
+  }
+
+  await scheduleFollowups(connection, { slugId });
+}
+
+module.exports = {
+  MAX_FOLLOWUP_STEPS,
+  DEFAULT_FOLLOWUP_MINUTES,
+  normalizeFollowupSteps,
+  getFollowupSequence,
+  scheduleFollowups,
+  saveFollowupSequence,
+};
@@ -0,0 +1,370 @@
+// Custom booking form fields: the types an admin can configure on a booking page, and
+// server-side validation of the answers a client submits for them.
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'phone', 'number', 'date', 'select', 'radio', 'checkbox'];
+
+// Types whose answer must be one of the configured options.
+const OPTION_TYPES = ['select', 'radio'];
+
+// Default (and largest) max_length for free-text answers.
+const DEFAULT_MAX_LENGTH = { text: 255, textarea: 5000 };
+
+// Field names that would clash with the core booking and waitlist parameters.
+const RESERVED_FIELD_NAMES = [
+  'client_name', 'client_email', 'appointment_date', 'client_timezone', 'details', 'duration_minutes',
+  'hold_token', 'recurrence', 'date',
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isValidDateString(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCFullYear() === Number(match[1])
+    && date.getUTCMonth() === Number(match[2]) - 1
+    && date.getUTCDate() === Number(match[3]);
+}
+
+function isValidEmail(value) {
+  return typeof value === 'string' && value.length <= 255 && EMAIL_PATTERN.test(value);
+}
+
+// Validates the type-specific settings of one field. Returns { settings } or { error }.
+function normalizeFieldSettings(type, settings, label) {
+  settings = settings || {};
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: `settings for "${label}" must be an object.` };
+  }
+
+  if (OPTION_TYPES.includes(type)) {
+    const { options } = settings;
+    if (!Array.isArray(options) || options.length === 0) {
+      return { error: `"${label}" needs a non-empty options list.` };
+    }
+    const normalized = options.map(option => String(option).trim());
+    if (normalized.some(option => option === '')) {
+      return { error: `Options for "${label}" must not be empty.` };
+    }
+    if (new Set(normalized).size !== normalized.length) {
+      return { error: `Options for "${label}" must be unique.` };
+    }
+    return { settings: { options: normalized } };
+  }
+
+  if (type === 'number') {
+    const result = {};
+    for (const key of ['min', 'max']) {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        const value = Number(settings[key]);
+        if (!Number.isFinite(value)) {
+          return { error: `${key} for "${label}" must be a number.` };
+        }
+        result[key] = value;
+      }
+    }
+    if (result.min !== undefined && result.max !== undefined && result.min > result.max) {
+      return { error: `min for "${label}" must not be greater than max.` };
+    }
+    if (settings.integer) {
+      result.integer = true;
+    }
+    return { settings: result };
+  }
+
+  if (type === 'date') {
+    const result = {};
+    for (const key of ['min', 'max']) {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        if (!isValidDateString(settings[key])) {
+          return { error: `${key} for "${label}" must be a date in YYYY-MM-DD format.` };
+        }
+        result[key] = settings[key];
+      }
+    }
+    if (result.min && result.max && result.min > result.max) {
+      return { error: `min for "${label}" must not be later than max.` };
+    }
+    return { settings: result };
+  }
+
+  if (type === 'text' || type === 'textarea') {
+    if (settings.max_length === undefined || settings.max_length === null) {
+      return { settings: {} };
+    }
+    const maxLength = Number(settings.max_length);
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > DEFAULT_MAX_LENGTH[type]) {
+      return { error: `max_length for "${label}" must be a whole number from 1 to ${DEFAULT_MAX_LENGTH[type]}.` };
+    }
+    return { settings: { max_length: maxLength } };
+  }
+
+  return { settings: {} };
+}
+
+// Validates the custom fields an admin sends when creating or updating a booking page.
+// An existing field is referenced by its id; fields without one are new.
+// Returns { fields } ready for storage, or { error } with a message suitable for a 400 response.
+function normalizeFieldDefinitions(fields) {
+  if (fields === undefined || fields === null) {
+    return { fields: [] };
+  }
+  if (!Array.isArray(fields)) {
+    return { error: 'fields must be an array.' };
+  }
+
+  const names = new Set();
+  const ids = new Set();
+  const normalized = [];
+
+  for (const field of fields) {
+    const name = field && typeof field.field_name === 'string' ? field.field_name.trim() : '';
+    const label = field && typeof field.field_label === 'string' ? field.field_label.trim() : '';
+
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      return { error: 'Each field needs a field_name of up to 64 letters, numbers, underscores or hyphens.' };
+    }
+    if (RESERVED_FIELD_NAMES.includes(name)) {
+      return { error: `"${name}" is reserved and cannot be used as a field_name.` };
+    }
+    if (names.has(name)) {
+      return { error: `field_name "${name}" is used more than once.` };
+    }
+    if (!label) {
+      return { error: `Field "${name}" needs a field_label.` };
+    }
+
+    const id = field.id === undefined || field.id === null ? null : Number(field.id);
+    if (id !== null && (!Number.isInteger(id) || id < 1)) {
+      return { error: `Field "${name}" has an invalid id.` };
+    }
+    if (id !== null && ids.has(id)) {
+      return { error: `Field id ${id} is used more than once.` };
+    }
+
+    const type = field.field_type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      return { error: `field_type must be one of: ${FIELD_TYPES.join(', ')}.` };
+    }
+
+    const settings = normalizeFieldSettings(type, field.settings, label);
+    if (settings.error) {
+      return { error: settings.error };
+    }
+
+    names.add(name);
+    if (id !== null) ids.add(id);
+    normalized.push({
+      id,
+      field_name: name,
+      field_label: label,
+      field_type: type,
+      is_required: Boolean(field.is_required),
+      settings: Object.keys(settings.settings).length > 0 ? settings.settings : null,
+    });
+  }
+
+  return { fields: normalized };
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function parseCheckbox(value) {
+  if (value === true || value === 1) return true;
+  if (value === false || value === 0) return false;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', 'on', 'yes', '1'].includes(normalized)) return true;
+    if (['false', 'off', 'no', '0'].includes(normalized)) return false;
+  }
+  return null;
+}
+
+// Checks one answer against its field. Returns { value } (the string to store, or null when
+// the field was left empty) or { error }.
+function validateFieldValue(field, rawValue) {
+  const settings = field.settings || {};
+  const required = Boolean(field.is_required);
+
+  if (field.field_type === 'checkbox') {
+    const checked = isEmptyValue(rawValue) ? false : parseCheckbox(rawValue);
+    if (checked === null) {
+      return { error: 'Must be true or false.' };
+    }
+    if (required && !checked) {
+      return { error: 'This box must be checked.' };
+    }
+    return { value: checked ? 'Yes' : 'No' };
+  }
+
+  if (isEmptyValue(rawValue)) {
+    return required ? { error: 'This field is required.' } : { value: null };
+  }
+  if (typeof rawValue === 'object') {
+    return { error: 'Must be a single value.' };
+  }
+
+  const value = String(rawValue).trim();
+
+  switch (field.field_type) {
+    case 'email':
+      return isValidEmail(value) ? { value } : { error: 'Must be a valid email address.' };
+
+    case 'phone': {
+      const digits = value.replace(/\D/g, '');
+      if (!PHONE_PATTERN.test(value) || digits.length < 7 || digits.length > 15) {
+        return { error: 'Must be a valid phone number.' };
+      }
+      return { value };
+    }
+
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        return { error: 'Must be a number.' };
+      }
+      if (settings.integer && !Number.isInteger(number)) {
+        return { error: 'Must be a whole number.' };
+      }
+      if (settings.min !== undefined && number < settings.min) {
+        return { error: `Must be at least ${settings.min}.` };
+      }
+      if (settings.max !== undefined && number > settings.max) {
+        return { error: `Must be at most ${settings.max}.` };
+      }
+      return { value: String(number) };
+    }
+
+    case 'date':
+      if (!isValidDateString(value)) {
+        return { error: 'Must be a date in YYYY-MM-DD format.' };
+      }
+      if (settings.min && value < settings.min) {
+        return { error: `Must be on or after ${settings.min}.` };
+      }
+      if (settings.max && value > settings.max) {
+        return { error: `Must be on or before ${settings.max}.` };
+      }
+      return { value };
+
+    case 'select':
+    case 'radio':
+      return (settings.options || []).includes(value) ? { value } : { error: 'Must be one of the listed options.' };
+
+    default: {
+      const maxLength = settings.max_length || DEFAULT_MAX_LENGTH[field.field_type] || DEFAULT_MAX_LENGTH.text;
+      if (value.length > maxLength) {
+        return { error: `Must be ${maxLength} characters or fewer.` };
+      }
+      return { value };
+    }
+  }
+}
+
+// Validates a booking's answers against the page's fields.
+// Returns { answers: [{ field, value }] } with only the non-empty answers, or
+// { errors: [{ field, message }] } listing every field that failed.
+function validateFieldValues(fields, values) {
+  const answers = [];
+  const errors = [];
+
+  for (const field of fields) {
+    const result = validateFieldValue(field, values[field.field_name]);
+    if (result.error) {
+      errors.push({ field: field.field_name, message: result.error });
+    } else if (result.value !== null) {
+      answers.push({ field, value: result.value });
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { answers };
+}
+
+// Brings a booking page's fields in line with `fields` (from normalizeFieldDefinitions)
+// without deleting anything, so past answers keep pointing at the field they belong to:
+// - a field with an id (or, failing that, with the name of an existing field) is updated
+//   in place, which is how fields are renamed, retyped or brought back after retiring;
+// - a field without a match is inserted;
+// - an existing field left out of the list is retired and no longer shown on the form.
+// List order becomes the display order. Returns { error } if an id is not on this page.
+async function saveSlugFields(connection, slugId, fields) {
+  const [existing] = await connection.query(
+    'SELECT id, field_name, retired_at FROM slug_fields WHERE slug_id = ? ORDER BY retired_at IS NULL ASC, retired_at ASC FOR UPDATE',
+    [slugId]
+  );
+  const byId = new Map(existing.map(f => [f.id, f]));
+  // Active fields come last, so a name resolves to the active field before a retired one.
+  const byName = new Map(existing.map(f => [f.field_name, f]));
+
+  const missing = fields.find(field => field.id !== null && !byId.has(field.id));
+  if (missing) {
+    return { error: `Field id ${missing.id} does not belong to this booking page.` };
+  }
+
+  // Ids win over names: a field matched by name is new if its namesake was claimed by id.
+  const keptIds = new Set(fields.filter(field => field.id !== null).map(field => field.id));
+  const matched = fields.map(field => {
+    if (field.id !== null) {
+      return byId.get(field.id);
+    }
+    const namesake = byName.get(field.field_name);
+    if (!namesake || keptIds.has(namesake.id)) {
+      return undefined;
+    }
+    keptIds.add(namesake.id);
+    return namesake;
+  });
+
+  const retiredIds = existing.filter(f => !keptIds.has(f.id)).map(f => f.id);
+  if (retiredIds.length > 0) {
+    await connection.query(
+      `UPDATE slug_fields
+      SET retired_at = COALESCE(retired_at, UTC_TIMESTAMP()), position = 0
+      WHERE id IN (?)`,
+      [retiredIds]
+    );
+  }
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    const values = [
+      field.field_name,
+      field.field_label,
+      field.field_type,
+      field.is_required,
+      field.settings && JSON.stringify(field.settings),
+      i + 1,
+    ];
+
+    if (matched[i]) {
+      await connection.query(
+        `UPDATE slug_fields
+        SET field_name = ?, field_label = ?, field_type = ?, is_required = ?, settings = ?, position = ?, retired_at = NULL
+        WHERE id = ?`,
+        [...values, matched[i].id]
+      );
+    } else {
+      await connection.query(
+        'INSERT INTO slug_fields (field_name, field_label, field_type, is_required, settings, position, slug_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [...values, slugId]
+      );
+    }
+  }
+
+  return {};
+}
+
+module.exports = {
+  FIELD_TYPES,
+  isValidEmail,
+  normalizeFieldDefinitions,
+  validateFieldValue,
+  validateFieldValues,
+  saveSlugFields,
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { format } = require('date-fns-tz');
+const { addMinutes } = require('date-fns');
+const { hashToken } = require('./appointmentService');
+
+// How long a client can keep a time while filling in the booking form.
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10;
+
+// The most live holds a booking page, and a single client address, can have at once. Holds
+// need no sign-in, so without these anyone could hold every free time of a page.
+const MAX_HOLDS_PER_PAGE = parseInt(process.env.MAX_SLOT_HOLDS_PER_PAGE, 10) || 20;
+const MAX_HOLDS_PER_CLIENT = parseInt(process.env.MAX_SLOT_HOLDS_PER_CLIENT, 10) || 3;
+
+// Checks that another hold can be made on the page for the client at `clientIp`, inside the
+// caller's transaction, which must hold the admin's schedule lock. Expired holds no longer
+// count (or block anything), so the admin's are cleared out first.
+// Returns null, or { status, message } when a limit is reached.
+async function checkHoldLimits(connection, page, clientIp) {
+  await connection.query('DELETE FROM slot_holds WHERE admin_id = ? AND expires_at <= UTC_TIMESTAMP()', [page.admin_id]);
+
+  const [[{ clientHolds }]] = await connection.query(
+    'SELECT COUNT(*) AS clientHolds FROM slot_holds WHERE client_ip = ? AND expires_at > UTC_TIMESTAMP()',
+    [clientIp]
+  );
+  if (clientHolds >= MAX_HOLDS_PER_CLIENT) {
+    return { status: 429, message: 'You are already holding too many times. Complete a booking or release a held time first.' };
+  }
+
+  const [[{ pageHolds }]] = await connection.query(
+    'SELECT COUNT(*) AS pageHolds FROM slot_holds WHERE slug_id = ? AND expires_at > UTC_TIMESTAMP()',
+    [page.slug_id]
+  );
+  if (pageHolds >= MAX_HOLDS_PER_PAGE) {
+    return { status: 429, message: 'Too many times on this booking page are being held right now. Please try again in a few minutes.' };
+  }
+
+  return null;
+}
+
+// Holds [start, end) on a booking page for the client at `clientIp` inside the caller's
+// transaction, which must already have checked that the time is free and the hold limits
+// (see checkHoldLimits). Returns { token, expiresAt }; only the hash is stored.
+async function createHold(connection, page, start, end, clientIp) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = addMinutes(new Date(), HOLD_MINUTES);
+  await connection.query('INSERT INTO slot_holds SET ?', {
+    admin_id: page.admin_id,
+    slug_id: page.slug_id,
+    hold_token_hash: hashToken(token),
+    starts_at: format(start, 'yyyy-MM-dd HH:mm:ss'),
+    ends_at: format(end, 'yyyy-MM-dd HH:mm:ss'),
+    expires_at: format(expiresAt, 'yyyy-MM-dd HH:mm:ss'),
+    client_ip: clientIp,
+  });
+
+  return { token, expiresAt };
+}
+
+// Checks that a hold token covers exactly [start, end) on the booking page and has not
+// expired. Returns { hold } (locked for the transaction) or { status, message }.
+async function verifyHold(connection, page, token, start, end) {
+  const [rows] = await connection.query(
+    'SELECT * FROM slot_holds WHERE hold_token_hash = ? AND slug_id = ? FOR UPDATE',
+    [hashToken(String(token)), page.slug_id]
+  );
+  const hold = rows[0];
+
+  if (!hold) {
+    return { status: 400, message: 'This hold is not valid. Please choose a time again.' };
+  }
+  if (new Date(hold.expires_at) <= new Date()) {
+    return { status: 410, message: 'Your hold on this time has expired. Please choose a time again.' };
+  }
+  if (new Date(hold.starts_at).getTime() !== start.getTime() || new Date(hold.ends_at).getTime() !== end.getTime()) {
+    return { status: 400, message: 'The hold is for a different time or duration than this booking.' };
+  }
+  return { hold };
+}
+
+// Removes a hold once its booking is made, or when the client lets the time go.
+async function releaseHold(connection, holdId) {
+  await connection.query('DELETE FROM slot_holds WHERE id = ?', [holdId]);
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  MAX_HOLDS_PER_PAGE,
+  MAX_HOLDS_PER_CLIENT,
+  checkHoldLimits,
+  createHold,
+  verifyHold,
+  releaseHold,
+};
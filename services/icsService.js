@@ -0,0 +1,138 @@
+// Builds RFC 5545 iCalendar documents for appointments.
+// Every appointment keeps the same UID for its whole life, so calendar clients update
+// (or remove) the existing event instead of creating duplicates.
+
+const PRODUCT_ID = '-//calendr//Booking API//EN';
+
+function getEventUid(appointmentId) {
+  const domain = process.env.ICS_UID_DOMAIN || 'calendr';
+  return `appointment-${appointmentId}@${domain}`;
+}
+
+// Formats a date as a UTC iCalendar DATE-TIME, e.g. 20250102T150000Z.
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escapes TEXT values (RFC 5545 section 3.3.11).
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Folds content lines longer than 75 octets (RFC 5545 section 3.1).
+function foldLine(line) {
+  const buffer = Buffer.from(line, 'utf8');
+  if (buffer.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// Builds the VEVENT lines for one appointment.
+// `options.cancelled` marks the event as cancelled and `options.tentative` as not yet confirmed;
+// `options.sequence` must grow on every change.
+function buildEvent(appointment, options = {}) {
+  const {
+    summary,
+    description,
+    location,
+    organizerEmail,
+    organizerName,
+    sequence = appointment.ics_sequence || 0,
+    cancelled = false,
+    tentative = false,
+  } = options;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(appointment.id)}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(appointment.appointment_date)}`,
+    `DTEND:${formatIcsDate(appointment.end_date || appointment.appointment_date)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(summary || 'Appointment')}`,
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (organizerEmail) {
+    const name = organizerName ? `;CN=${escapeText(organizerName)}` : '';
+    lines.push(`ORGANIZER${name}:mailto:${organizerEmail}`);
+  }
+  if (appointment.client_email) {
+    lines.push(`ATTENDEE;CN=${escapeText(appointment.client_name || appointment.client_email)};ROLE=REQ-PARTICIPANT:mailto:${appointment.client_email}`);
+  }
+
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : tentative ? 'TENTATIVE' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Wraps VEVENT line groups into a VCALENDAR document. `method` is REQUEST, CANCEL or
+// PUBLISH (for subscription feeds). Extra calendar-level properties can be passed in.
+function buildCalendar(eventLineGroups, method, extraProperties = []) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...extraProperties,
+    ...eventLineGroups.flat(),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Builds a nodemailer attachment carrying an invitation or cancellation for one appointment,
+// or for every occurrence of a recurring series when given a list.
+// Cancelling is itself a change to an event, so CANCEL raises each event's SEQUENCE.
+function buildIcsAttachment(appointments, method, options = {}) {
+  const cancelled = method === 'CANCEL';
+  const events = [].concat(appointments).map(appointment => buildEvent(appointment, {
+    ...options,
+    sequence: options.sequence !== undefined
+      ? options.sequence
+      : (appointment.ics_sequence || 0) + (cancelled ? 1 : 0),
+    cancelled,
+  }));
+  const content = buildCalendar(events, method);
+  return {
+    filename: method === 'CANCEL' ? 'cancellation.ics' : 'invite.ics',
+    content,
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+}
+
+module.exports = {
+  getEventUid,
+  escapeText,
+  buildEvent,
+  buildCalendar,
+  buildIcsAttachment,
+};
@@ -0,0 +1,113 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs/promises');
+const path = require('path');
+require('dotenv').config();
+
+// Mail transport selected by MAIL_DRIVER:
+//   gmail  - (default) Gmail using EMAIL_USER / EMAIL_PASS, as before drivers existed
+//   smtp   - any SMTP server: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_REQUIRE_TLS, SMTP_USER, SMTP_PASS
+//   file   - writes every message as an .eml file into MAIL_FILE_DIR (default ./mail-outbox)
+//   memory - keeps messages in memory so tests can inspect them with getSentMessages()
+// Every driver exposes the same `sendMail(mailOptions)` as a nodemailer transporter.
+
+// Messages captured by the in-memory driver.
+const sentMessages = [];
+
+function createGmailTransport() {
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+}
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('MAIL_DRIVER is "smtp" but SMTP_HOST is not set.');
+  }
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  const options = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure: secure,
+    requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+  };
+
+  if (process.env.SMTP_USER) {
+    options.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS };
+  }
+
+  return nodemailer.createTransport(options);
+}
+
+// Renders messages to RFC 822 with nodemailer's stream transport, without sending them.
+function createBufferingTransport(onMessage) {
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async sendMail(mailOptions) {
+      const info = await renderer.sendMail(mailOptions);
+      await onMessage(mailOptions, info);
+      return info;
+    },
+  };
+}
+
+function createFileTransport() {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+
+  return createBufferingTransport(async (mailOptions, info) => {
+    await fs.mkdir(directory, { recursive: true });
+    const safeId = String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '');
+    await fs.writeFile(path.join(directory, `${Date.now()}-${safeId}.eml`), info.message);
+  });
+}
+
+function createMemoryTransport() {
+  return createBufferingTransport(async (mailOptions, info) => {
+    sentMessages.push({ ...mailOptions, messageId: info.messageId, raw: info.message.toString() });
+  });
+}
+
+const drivers = {
+  gmail: createGmailTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let transport = null;
+
+// Returns the configured transport, creating it on first use.
+function getTransport() {
+  if (!transport) {
+    const driver = (process.env.MAIL_DRIVER || 'gmail').toLowerCase();
+    if (!drivers[driver]) {
+      throw new Error(`Unknown MAIL_DRIVER "${driver}". Use one of: ${Object.keys(drivers).join(', ')}.`);
+    }
+    transport = drivers[driver]();
+  }
+  return transport;
+}
+
+async function sendMail(mailOptions) {
+  return getTransport().sendMail(mailOptions);
+}
+
+function getSentMessages() {
+  return sentMessages;
+}
+
+function clearSentMessages() {
+  sentMessages.length = 0;
+}
+
+module.exports = {
+  sendMail,
+  getTransport,
+  getSentMessages,
+  clearSentMessages,
+};
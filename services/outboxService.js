@@ -0,0 +1,114 @@
+const db = require('../config/db');
+const { sendMail } = require('./mailTransport');
+
+// Delivery attempts before a message is marked dead (OUTBOX_MAX_ATTEMPTS, default 6).
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 6;
+// Backoff starts at one minute and doubles on every failure, capped at six hours.
+const BASE_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+// Messages left in 'sending' longer than this (e.g. the process died mid-send) are retried.
+const STALE_SENDING_MINUTES = 10;
+const BATCH_SIZE = 50;
+
+function getBackoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+// Persists a message to the outbox so the worker can deliver it.
+// Pass a transaction connection to enqueue atomically with other writes.
+async function enqueueEmail(mailOptions, { kind, adminId = null } = {}, connection = null) {
+  const [result] = await (connection || db).query(
+    'INSERT INTO email_outbox (admin_id, kind, recipient, subject, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?, UTC_TIMESTAMP())',
+    [adminId, kind, mailOptions.to, mailOptions.subject || null, JSON.stringify(mailOptions)]
+  );
+  return result.insertId;
+}
+
+// Delivers every due message once. Each row is claimed with a conditional UPDATE so
+// that two workers (or two app instances) never send the same message twice.
+async function processOutbox() {
+  await db.query(
+    "UPDATE email_outbox SET status = 'pending' WHERE status = 'sending' AND updated_at < DATE_SUB(UTC_TIMESTAMP(), INTERVAL ? MINUTE)",
+    [STALE_SENDING_MINUTES]
+  );
+
+  const [dueMessages] = await db.query(
+    "SELECT id, kind, payload, attempts FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= UTC_TIMESTAMP() ORDER BY next_attempt_at ASC LIMIT ?",
+    [BATCH_SIZE]
+  );
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const message of dueMessages) {
+    const [claim] = await db.query(
+      "UPDATE email_outbox SET status = 'sending' WHERE id = ? AND status = 'pending'",
+      [message.id]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    const mailOptions = typeof message.payload === 'string' ? JSON.parse(message.payload) : message.payload;
+    const attempts = message.attempts + 1;
+
+    try {
+      await sendMail(mailOptions);
+      await db.query(
+        "UPDATE email_outbox SET status = 'sent', attempts = ?, sent_at = UTC_TIMESTAMP(), last_error = NULL WHERE id = ?",
+        [attempts, message.id]
+      );
+      sent++;
+    } catch (error) {
+      failed++;
+      const errorMessage = String(error && error.message ? error.message : error).slice(0, 2000);
+
+      if (attempts >= MAX_ATTEMPTS) {
+        console.error(`Outbox message ${message.id} (${message.kind}) is dead after ${attempts} attempts:`, errorMessage);
+        await db.query(
+          "UPDATE email_outbox SET status = 'dead', attempts = ?, last_error = ? WHERE id = ?",
+          [attempts, errorMessage, message.id]
+        );
+      } else {
+        await db.query(
+          "UPDATE email_outbox SET status = 'pending', attempts = ?, last_error = ?, next_attempt_at = DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? SECOND) WHERE id = ?",
+          [attempts, errorMessage, getBackoffSeconds(attempts), message.id]
+        );
+      }
+    }
+  }
+
+  return { sent, failed };
+}
+
+// Lists an admin's undelivered messages: dead ones, or ones still being retried.
+async function listFailedEmails(adminId, status = 'dead') {
+  const statusFilter = status === 'retrying'
+    ? "status = 'pending' AND attempts > 0"
+    : "status = 'dead'";
+
+  const [rows] = await db.query(
+    `SELECT id, kind, recipient, subject, status, attempts, last_error, next_attempt_at, created_at, updated_at
+    FROM email_outbox
+    WHERE admin_id = ? AND ${statusFilter}
+    ORDER BY created_at DESC`,
+    [adminId]
+  );
+  return rows;
+}
+
+// Puts a dead message back at the front of the queue with a fresh attempt count. Messages
+// still pending are left alone: the worker may be sending them right now.
+async function requeueEmail(id, adminId) {
+  const [result] = await db.query(
+    "UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = UTC_TIMESTAMP() WHERE id = ? AND admin_id = ? AND status = 'dead'",
+    [id, adminId]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueueEmail,
+  processOutbox,
+  listFailedEmails,
+  requeueEmail,
+};
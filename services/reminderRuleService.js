@@ -0,0 +1,116 @@
+const db = require('../config/db');
+
+// The most default reminders a booking page can have.
+const MAX_REMINDER_RULES = 5;
+
+// How far ahead of a booking a default reminder can be sent (30 days).
+const MAX_MINUTES_BEFORE = 30 * 24 * 60;
+
+// Validates a booking page's default reminders: [{ minutes_before, message }], at most one
+// per minutes_before. Returns { rules } sorted earliest reminder first, or { error }.
+function normalizeReminderRules(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'rules must be an array of { minutes_before, message }.' };
+  }
+  if (input.length > MAX_REMINDER_RULES) {
+    return { error: `A booking page can have at most ${MAX_REMINDER_RULES} default reminders.` };
+  }
+
+  const rules = [];
+  for (const rule of input) {
+    const minutesBefore = Number(rule && rule.minutes_before);
+    if (!Number.isInteger(minutesBefore) || minutesBefore < 1 || minutesBefore > MAX_MINUTES_BEFORE) {
+      return { error: `minutes_before must be a whole number between 1 and ${MAX_MINUTES_BEFORE}.` };
+    }
+    if (rules.some(existing => existing.minutes_before === minutesBefore)) {
+      return { error: `There is more than one reminder ${minutesBefore} minutes before.` };
+    }
+    if (rule.message !== undefined && rule.message !== null && typeof rule.message !== 'string') {
+      return { error: 'message must be text or null.' };
+    }
+
+    rules.push({ minutes_before: minutesBefore, message: (rule.message && rule.message.trim()) || null });
+  }
+
+  rules.sort((a, b) => b.minutes_before - a.minutes_before);
+  return { rules };
+}
+
+// Returns the default reminders of a booking page, earliest reminder first.
+async function getReminderRules(slugId, connection = db) {
+  const [rules] = await connection.query(
+    'SELECT id, minutes_before, message FROM slug_reminder_rules WHERE slug_id = ? ORDER BY minutes_before DESC',
+    [slugId]
+  );
+  return rules;
+}
+
+// The appointments a reminder change applies to: one appointment, or every booking on a page.
+function getTargetFilter({ appointmentId = null, slugId = null }) {
+  return appointmentId ? ['a.id', appointmentId] : ['a.slug_id', slugId];
+}
+
+// Deletes the pending default reminders of the target appointments that the admin has not edited.
+async function deletePendingRuleReminders(connection, target) {
+  const [column, value] = getTargetFilter(target);
+  await connection.query(
+    `DELETE r FROM reminders r
+    JOIN appointments a ON r.appointment_id = a.id
+    WHERE ${column} = ? AND r.is_manual = 0 AND r.status = 'pending'`,
+    [value]
+  );
+}
+
+// Makes the pending default reminders of one appointment ({ appointmentId }) or of every
+// booking on a page ({ slugId }) match the page's current rules, inside the caller's
+// transaction. Reminders an admin added or edited by hand are not touched, a rule whose
+// reminder the admin edited or deleted for an appointment is not applied to it again, and
+// a reminder is only made if its time has not passed. Booking requests get theirs once they
+// are approved.
+async function scheduleRuleReminders(connection, target) {
+  await deletePendingRuleReminders(connection, target);
+
+  const [column, value] = getTargetFilter(target);
+  await connection.query(
+    `INSERT INTO reminders (appointment_id, rule_id, reminder_time, message)
+    SELECT a.id, rr.id, DATE_SUB(a.appointment_date, INTERVAL rr.minutes_before MINUTE), rr.message
+    FROM appointments a
+    JOIN slug_reminder_rules rr ON rr.slug_id = a.slug_id
+    WHERE ${column} = ? AND a.status <> 'pending_approval'
+      AND DATE_SUB(a.appointment_date, INTERVAL rr.minutes_before MINUTE) > UTC_TIMESTAMP()
+      AND NOT EXISTS (
+        SELECT 1 FROM reminders o
+        WHERE o.appointment_id = a.id AND o.rule_id = rr.id AND (o.is_manual = 1 OR o.status = 'deleted')
+      )`,
+    [value]
+  );
+}
+
+// Replaces the default reminders of a booking page inside the caller's transaction, and
+// reschedules the pending default reminders of its bookings to match. A rule that stays (same
+// minutes_before) keeps its id, so the reminders an admin edited or deleted stay tied to it.
+async function saveReminderRules(connection, slugId, rules) {
+  // Deleting a rule would only detach its reminders, so they go first.
+  await deletePendingRuleReminders(connection, { slugId });
+  if (rules.length > 0) {
+    await connection.query(
+      'DELETE FROM slug_reminder_rules WHERE slug_id = ? AND minutes_before NOT IN (?)',
+      [slugId, rules.map(rule => rule.minutes_before)]
+    );
+    await connection.query(
+      'INSERT INTO slug_reminder_rules (slug_id, minutes_before, message) VALUES ? ON DUPLICATE KEY UPDATE message = VALUES(message)',
+      [rules.map(rule => [slugId, rule.minutes_before, rule.message])]
+    );
+  } else {
+    await connection.query('DELETE FROM slug_reminder_rules WHERE slug_id = ?', [slugId]);
+  }
+  await scheduleRuleReminders(connection, { slugId });
+}
+
+module.exports = {
+  MAX_REMINDER_RULES,
+  normalizeReminderRules,
+  getReminderRules,
+  scheduleRuleReminders,
+  saveReminderRules,
+};
@@ -0,0 +1,205 @@
+const { fromZonedTime, format, formatInTimeZone } = require('date-fns-tz');
+const { addDays, addMinutes } = require('date-fns');
+const { checkSlotAvailability } = require('./availabilityService');
+const { insertAppointment } = require('./appointmentService');
+
+// Recurring appointments follow a small subset of RFC 5545 RRULEs:
+// FREQ (daily, weekly or monthly), INTERVAL, and either COUNT or UNTIL.
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// The most occurrences a single series can have.
+const MAX_OCCURRENCES = 52;
+
+// How many days a series can span, whatever its frequency.
+const MAX_SERIES_DAYS = 366 * 2;
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)$/;
+
+// Validates a recurrence sent by an admin or client.
+// Returns { recurrence: { frequency, interval, count, until } } or { error }.
+function normalizeRecurrence(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'recurrence must be an object with frequency, interval and count or until.' };
+  }
+
+  const frequency = String(input.frequency || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}.` };
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return { error: 'recurrence.interval must be a whole number between 1 and 12.' };
+  }
+
+  const hasCount = input.count !== undefined && input.count !== null;
+  const hasUntil = input.until !== undefined && input.until !== null;
+  if (hasCount === hasUntil) {
+    return { error: 'recurrence needs either count or until, but not both.' };
+  }
+
+  const count = hasCount ? Number(input.count) : null;
+  if (hasCount && (!Number.isInteger(count) || count < 2 || count > MAX_OCCURRENCES)) {
+    return { error: `recurrence.count must be a whole number between 2 and ${MAX_OCCURRENCES}.` };
+  }
+
+  if (hasUntil && !/^\d{4}-\d{2}-\d{2}$/.test(input.until)) {
+    return { error: 'recurrence.until must be a date (YYYY-MM-DD).' };
+  }
+
+  return { recurrence: { frequency, interval, count, until: hasUntil ? input.until : null } };
+}
+
+// Adds `months` calendar months to a "yyyy-MM-dd" date. Returns null when the day does not
+// exist in the target month (e.g. the 31st), which RRULE skips rather than clamps.
+function addMonthsToDay(day, months) {
+  const [year, month, date] = day.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, date));
+  return target.getUTCDate() === date ? target.toISOString().slice(0, 10) : null;
+}
+
+// Lists the UTC start of every occurrence. `localStart` is the first occurrence as a local
+// date-time ("yyyy-MM-dd HH:mm") in `timezone`; later ones keep the same wall-clock time,
+// across daylight saving changes too. Returns { starts } or { error }.
+function generateOccurrenceStarts(localStart, timezone, recurrence) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(String(localStart));
+  if (!match) {
+    return { error: 'appointment_date must be a local date-time (YYYY-MM-DD HH:mm) for a recurring booking.' };
+  }
+
+  const firstDay = `${match[1]}-${match[2]}-${match[3]}`;
+  const time = match[4];
+  const lastAllowedDay = addDays(new Date(`${firstDay}T00:00:00Z`), MAX_SERIES_DAYS).toISOString().slice(0, 10);
+  const starts = [];
+
+  for (let step = 0; starts.length < (recurrence.count || MAX_OCCURRENCES + 1); step++) {
+    let day;
+    if (recurrence.frequency === 'monthly') {
+      day = addMonthsToDay(firstDay, step * recurrence.interval);
+    } else {
+      const days = step * recurrence.interval * (recurrence.frequency === 'weekly' ? 7 : 1);
+      day = addDays(new Date(`${firstDay}T00:00:00Z`), days).toISOString().slice(0, 10);
+    }
+
+    if (day === null) {
+      // Monthly series skip months without the start day; stop if the series runs too long.
+      if (step > MAX_OCCURRENCES * 12) break;
+      continue;
+    }
+    if ((recurrence.until && day > recurrence.until) || day > lastAllowedDay) {
+      break;
+    }
+
+    starts.push(fromZonedTime(`${day} ${time}`, timezone));
+  }
+
+  if (starts.length > MAX_OCCURRENCES) {
+    return { error: `A recurring series can have at most ${MAX_OCCURRENCES} occurrences.` };
+  }
+  if (starts.length < 2) {
+    return { error: 'The recurrence produces fewer than two occurrences.' };
+  }
+  return { starts };
+}
+
+// Books every occurrence of a series inside the caller's transaction. Each occurrence goes
+// through the same availability checks as a single booking: adminOverride relaxes them for
+// admins, and excludeHoldId lets the client use their slot hold. If any occurrence fails,
+// { conflicts } lists every failing one and nothing should be committed. On success returns
+// { seriesId, occurrences: [{ id, manageToken, appointment }] }.
+async function createSeries(connection, options) {
+  const {
+    adminId,
+    page,
+    appointment,
+    starts,
+    durationMinutes,
+    recurrence,
+    customFieldAnswers = [],
+    adminOverride = false,
+    excludeHoldId = null,
+  } = options;
+
+  const conflicts = [];
+  const occurrences = [];
+
+  const [seriesResult] = await connection.query('INSERT INTO appointment_series SET ?', {
+    admin_id: adminId,
+    slug_id: page ? page.slug_id : null,
+    frequency: recurrence.frequency,
+    interval_count: recurrence.interval,
+    occurrence_count: recurrence.count,
+    until_date: recurrence.until,
+  });
+  const seriesId = seriesResult.insertId;
+
+  for (const start of starts) {
+    const end = addMinutes(start, durationMinutes);
+
+    // Earlier occurrences are already inserted, so a series cannot overlap itself.
+    const slotError = await checkSlotAvailability(connection, page, adminId, start, end, { adminOverride, excludeHoldId });
+    if (slotError) {
+      conflicts.push({ start: start.toISOString(), status: slotError.status, message: slotError.message });
+      continue;
+    }
+
+    const occurrence = {
+      ...appointment,
+      admin_id: adminId,
+      slug_id: page ? page.slug_id : null,
+      series_id: seriesId,
+      appointment_date: format(start, 'yyyy-MM-dd HH:mm:ss'),
+      end_date: format(end, 'yyyy-MM-dd HH:mm:ss'),
+    };
+    const { id, manageToken } = await insertAppointment(connection, occurrence, customFieldAnswers);
+    occurrences.push({ id, manageToken, appointment: { id, ...occurrence, appointment_date: start, end_date: end } });
+  }
+
+  return conflicts.length > 0 ? { conflicts } : { seriesId, occurrences };
+}
+
+// Moves one occurrence of a series the way `fromStart` was moved to `toStart`: by the same
+// number of days, to the same wall-clock time in `timezone`, so a series keeps its local time
+// across daylight saving changes.
+function shiftOccurrenceStart(start, fromStart, toStart, timezone) {
+  const dayOf = date => new Date(`${formatInTimeZone(date, timezone, 'yyyy-MM-dd')}T00:00:00Z`);
+  const dayOffset = Math.round((dayOf(toStart) - dayOf(fromStart)) / 86400000);
+  const day = addDays(dayOf(start), dayOffset).toISOString().slice(0, 10);
+  return fromZonedTime(`${day} ${formatInTimeZone(toStart, timezone, 'HH:mm:ss')}`, timezone);
+}
+
+// Locks and returns the appointments an action on `appointment` applies to:
+// 'this' (the occurrence alone), 'following' (it and every later occurrence of its series)
+// or 'series' (it and every occurrence that has not started yet; past ones are left alone).
+// Ordered by start time.
+async function getScopedAppointments(connection, appointment, scope = 'this') {
+  if (scope === 'this' || !appointment.series_id) {
+    return [appointment];
+  }
+
+  let query = 'SELECT * FROM appointments WHERE series_id = ? AND admin_id = ?';
+  const params = [appointment.series_id, appointment.admin_id];
+  if (scope === 'following') {
+    query += ' AND appointment_date >= ?';
+    params.push(appointment.appointment_date);
+  } else {
+    query += ' AND (appointment_date >= UTC_TIMESTAMP() OR id = ?)';
+    params.push(appointment.id);
+  }
+
+  const [rows] = await connection.query(`${query} ORDER BY appointment_date ASC FOR UPDATE`, params);
+  return rows;
+}
+
+const SCOPES = ['this', 'following', 'series'];
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  SCOPES,
+  normalizeRecurrence,
+  generateOccurrenceStarts,
+  createSeries,
+  shiftOccurrenceStart,
+  getScopedAppointments,
+};
@@ -0,0 +1,457 @@
+const db = require('../config/db');
+const { formatInTimeZone } = require('date-fns-tz');
+const { safeHtml, escapeHtml, sanitizeHtml, htmlToText } = require('../utils/html');
+const { resolveTimezone } = require('../utils/timezone');
+const { isLinkLocation, buildBookingPageLink } = require('./bookingPageService');
+
+// Email templates use {{placeholder}} tags. Admins can override the subject and body
+// of each kind below, for all their booking pages or for a single one.
+// Placeholder values are HTML-escaped when rendered into a body, so anything a client
+// typed into the booking form shows up as text and never as markup.
+
+const DATE_TIME_FORMAT = 'MMMM d, yyyy \'at\' p';
+const DATE_FORMAT = 'MMMM d, yyyy';
+
+const MESSAGE_BLOCK_STYLE = 'padding: 10px; border-left: 3px solid #ccc; font-style: italic;';
+
+// Placeholders available to every appointment template.
+const PLACEHOLDERS = {
+  app_name: 'The client-facing application name.',
+  client_name: 'The client\'s name.',
+  client_email: 'The client\'s email address.',
+  details: 'The details the client entered, or "N/A".',
+  booking_page: 'The slug of the booking page the appointment was made on.',
+  booking_title: 'The booking page title, or its slug if it has no title.',
+  booking_description: 'The booking page description.',
+  location: 'The meeting location or video call link of the booking page.',
+  location_item: 'The location as a <li> item (linked if it is a web address), or nothing if there is none.',
+  rebook_link: 'The link to book again on the same booking page.',
+  description_block: 'The booking page description as a paragraph, or nothing if there is none.',
+  client_timezone: 'The client\'s timezone.',
+  admin_timezone: 'The admin\'s timezone.',
+  appointment_time_client_tz: 'Start date and time in the client\'s timezone.',
+  appointment_time_admin_tz: 'Start date and time in the admin\'s timezone.',
+  appointment_day: 'Start date (without time) in the client\'s timezone.',
+  previous_time_client_tz: 'Reschedule emails only: the old start time in the client\'s timezone.',
+  previous_time_admin_tz: 'Reschedule emails only: the old start time in the admin\'s timezone.',
+  message: 'The custom message (cancellation reason, reminder or follow-up text).',
+  message_block: 'The custom message as a styled paragraph, or nothing if there is no message.',
+  custom_fields: 'All custom field answers as <li> items.',
+  series_schedule: 'Recurring bookings only: every occurrence the email is about, as a list in the client\'s timezone, or nothing for a single appointment.',
+  attendees: 'Group session cancellations only: every attendee\'s name and email as <li> items.',
+  'custom.<field_name>': 'The answer to one custom field, e.g. {{custom.company}}.',
+  manage_link: 'Confirmation emails only: the link to view the booking.',
+  reschedule_link: 'Confirmation emails only: the link to reschedule.',
+  cancel_link: 'Confirmation emails only: the link to cancel.',
+  manage_links: 'Confirmation emails only: a paragraph with all three links.',
+  claim_link: 'Waitlist offers only: the link to claim the offered time.',
+  claim_deadline_client_tz: 'Waitlist offers only: when the offer expires, in the client\'s timezone.',
+  approve_link: 'Approval requests only: the link to approve the booking.',
+  decline_link: 'Approval requests only: the link to decline the booking.',
+  approval_deadline_admin_tz: 'Approval requests only: when the request expires if unanswered, in the admin\'s timezone.',
+};
+
+const DEFAULT_TEMPLATES = {
+  booking_confirmation: {
+    subject: '✅ Your Appointment is Confirmed!',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>Your appointment has been successfully booked. Here are the details:</p>
+      <ul>
+        <li><strong>What:</strong> {{booking_title}}</li>
+        <li><strong>Date & Time:</strong> {{appointment_time_client_tz}} ({{client_timezone}})</li>
+        {{location_item}}
+        {{custom_fields}}
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      {{series_schedule}}
+      {{description_block}}
+      <p>We look forward to meeting with you!</p>
+      {{manage_links}}
+    `,
+  },
+  admin_notification: {
+    subject: '🎉 New Appointment with {{client_name}}',
+    body_html: `
+      <h1>A new appointment has been booked.</h1>
+      <h3>Appointment Details:</h3>
+      <ul>
+        <li><strong>Client Name:</strong> {{client_name}}</li>
+        <li><strong>Client Email:</strong> {{client_email}}</li>
+        <li><strong>Booking Page:</strong> {{booking_title}}</li>
+        <li><strong>Time (App Timezone - {{admin_timezone}}):</strong> {{appointment_time_admin_tz}}</li>
+        <li><strong>Time (Client Timezone - {{client_timezone}}):</strong> {{appointment_time_client_tz}}</li>
+        {{location_item}}
+        {{custom_fields}}
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      {{series_schedule}}
+    `,
+  },
+  booking_request_received: {
+    subject: '📨 We have received your booking request',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>Thank you for your request. It needs to be approved before it is confirmed:</p>
+      <ul>
+        <li><strong>What:</strong> {{booking_title}}</li>
+        <li><strong>Requested Time:</strong> {{appointment_time_client_tz}} ({{client_timezone}})</li>
+        {{location_item}}
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      {{series_schedule}}
+      <p>We are holding this time for you and will email you as soon as your request has been answered.</p>
+    `,
+  },
+  admin_approval_request: {
+    subject: '📝 Booking request from {{client_name}} needs your approval',
+    body_html: `
+      <h1>A new booking request is waiting for your approval.</h1>
+      <ul>
+        <li><strong>Client Name:</strong> {{client_name}}</li>
+        <li><strong>Client Email:</strong> {{client_email}}</li>
+        <li><strong>Booking Page:</strong> {{booking_title}}</li>
+        <li><strong>Time (App Timezone - {{admin_timezone}}):</strong> {{appointment_time_admin_tz}}</li>
+        <li><strong>Time (Client Timezone - {{client_timezone}}):</strong> {{appointment_time_client_tz}}</li>
+        {{custom_fields}}
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      {{series_schedule}}
+      <p><a href="{{approve_link}}">Approve</a> · <a href="{{decline_link}}">Decline</a></p>
+      <p>The time is held until {{approval_deadline_admin_tz}}. If you do not answer by then, the request is declined automatically.</p>
+    `,
+  },
+  booking_declined: {
+    subject: 'Your booking request could not be accepted',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>Unfortunately, your request for {{booking_title}} on {{appointment_time_client_tz}} ({{client_timezone}}) could not be accepted.</p>
+      {{message_block}}
+      {{series_schedule}}
+      <p>You are welcome to choose another time on our booking page.</p>
+    `,
+  },
+  cancellation: {
+    subject: '❌ Your Appointment has been Cancelled',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>This is a confirmation that your appointment has been cancelled.</p>
+      {{message_block}}
+      <p>Here are the details of the cancelled meeting:</p>
+      <ul>
+        <li><strong>Date & Time:</strong> {{appointment_time_client_tz}} ({{client_timezone}})</li>
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      {{series_schedule}}
+      <p>If you believe this was a mistake, please contact us to reschedule.</p>
+    `,
+  },
+  admin_cancellation: {
+    subject: '❗️ Appointment Cancelled with {{client_name}}',
+    body_html: `
+      <h1>An appointment has been cancelled.</h1>
+      <h3>Cancelled Appointment Details:</h3>
+      <ul>
+        <li><strong>Client Name:</strong> {{client_name}}</li>
+        <li><strong>Client Email:</strong> {{client_email}}</li>
+        <li><strong>Time (App Timezone):</strong> {{appointment_time_admin_tz}}</li>
+      </ul>
+      {{series_schedule}}
+      {{message_block}}
+    `,
+  },
+  admin_session_cancellation: {
+    subject: '❗️ Group Session Cancelled: {{booking_title}}',
+    body_html: `
+      <h1>A group session has been cancelled.</h1>
+      <ul>
+        <li><strong>Booking Page:</strong> {{booking_title}}</li>
+        <li><strong>Time (App Timezone):</strong> {{appointment_time_admin_tz}}</li>
+      </ul>
+      <p>Every attendee has been sent a cancellation:</p>
+      <ul>{{attendees}}</ul>
+      {{message_block}}
+    `,
+  },
+  reschedule: {
+    subject: '🔄 Your Appointment has been Rescheduled',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>Your appointment has been moved to a new time.</p>
+      <ul>
+        <li><strong>Previous Time:</strong> <s>{{previous_time_client_tz}}</s> ({{client_timezone}})</li>
+        <li><strong>New Time:</strong> {{appointment_time_client_tz}} ({{client_timezone}})</li>
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      {{series_schedule}}
+      <p>We look forward to meeting with you!</p>
+    `,
+  },
+  admin_reschedule: {
+    subject: '🔄 Appointment Rescheduled with {{client_name}}',
+    body_html: `
+      <h1>An appointment has been rescheduled.</h1>
+      <ul>
+        <li><strong>Client Name:</strong> {{client_name}}</li>
+        <li><strong>Client Email:</strong> {{client_email}}</li>
+        <li><strong>Previous Time (App Timezone):</strong> {{previous_time_admin_tz}}</li>
+        <li><strong>New Time (App Timezone):</strong> {{appointment_time_admin_tz}}</li>
+      </ul>
+      {{series_schedule}}
+    `,
+  },
+  reminder: {
+    subject: '⏰ Reminder: Your Appointment is Soon!',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>This is a friendly reminder about your upcoming appointment.</p>
+      {{message_block}}
+      <h3>Appointment Details:</h3>
+      <ul>
+        <li><strong>Date & Time:</strong> {{appointment_time_client_tz}} ({{client_timezone}})</li>
+        <li><strong>Details:</strong> {{details}}</li>
+      </ul>
+      <p>We look forward to seeing you soon!</p>
+    `,
+  },
+  waitlist_offer: {
+    subject: '🎟️ A spot has opened up for you',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>Good news! A time you were waiting for has become available:</p>
+      <ul>
+        <li><strong>What:</strong> {{booking_title}}</li>
+        <li><strong>Date & Time:</strong> {{appointment_time_client_tz}} ({{client_timezone}})</li>
+        {{location_item}}
+      </ul>
+      <p>We are holding it for you until {{claim_deadline_client_tz}}. After that it goes to the next person on the waitlist.</p>
+      <p><a href="{{claim_link}}">Claim this time</a></p>
+    `,
+  },
+  thank_you: {
+    subject: 'Thank you for our meeting!',
+    body_html: `
+      <h1>Hi {{client_name}},</h1>
+      <p>Just a quick note to say thank you for your meeting with us on {{appointment_day}}.</p>
+      {{message_block}}
+      <p>We appreciate your time and look forward to our next steps together.</p>
+      <p>Want to meet again? <a href="{{rebook_link}}">Book your next meeting</a>.</p>
+      <p>Best regards,<br/>The {{app_name}} Team</p>
+    `,
+  },
+};
+
+const TEMPLATE_KINDS = Object.keys(DEFAULT_TEMPLATES);
+
+// Replaces every {{placeholder}} (or {{custom.field_name}}) with its value from the context,
+// passed through `encode`. Unknown placeholders render as an empty string.
+function renderString(text, context, encode) {
+  return String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), context);
+    return value === undefined || value === null ? '' : encode(value);
+  });
+}
+
+// Subjects are plain text: values go in as-is, minus line breaks.
+const encodeSubjectValue = value => String(value).replace(/[\r\n]+/g, ' ');
+
+// Renders a template into { subject, html, text }; `text` is the plain-text alternative part.
+function renderTemplate(template, context) {
+  const html = renderString(sanitizeHtml(template.body_html), context, escapeHtml);
+  return {
+    subject: renderString(template.subject, context, encodeSubjectValue).replace(/[\r\n]+/g, ' '),
+    html,
+    text: htmlToText(html),
+  };
+}
+
+// Returns the template to use for an email: the booking page's override, then the
+// admin-wide override, then the built-in default. Falls back to the default on errors
+// so that a database hiccup never blocks an email.
+async function getTemplate(kind, adminId, slugId = null) {
+  if (!adminId) {
+    return DEFAULT_TEMPLATES[kind];
+  }
+
+  try {
+    const [rows] = await db.query(
+      `SELECT subject, body_html FROM email_templates
+      WHERE admin_id = ? AND kind = ? AND (slug_id = ? OR slug_id IS NULL)
+      ORDER BY slug_id IS NULL ASC
+      LIMIT 1`,
+      [adminId, kind, slugId]
+    );
+    return rows[0] || DEFAULT_TEMPLATES[kind];
+  } catch (error) {
+    console.error(`Error loading "${kind}" email template, using the default:`, error);
+    return DEFAULT_TEMPLATES[kind];
+  }
+}
+
+// Fetches the custom field answers of an appointment as [{ name, label, value }].
+async function getAppointmentCustomFields(appointmentId, connection = db) {
+  const [rows] = await connection.query(
+    `SELECT sf.field_name AS name, sf.field_label AS label, acd.field_value AS value
+    FROM appointment_custom_data acd
+    JOIN slug_fields sf ON acd.slug_field_id = sf.id
+    WHERE acd.appointment_id = ?
+    ORDER BY sf.position ASC, sf.id ASC`,
+    [appointmentId]
+  );
+  return rows;
+}
+
+// Loads what an email needs to know about the appointment's admin and booking page:
+// { adminTimezone, bookingPage }. adminTimezone is the booking page's timezone, then the
+// admin's own, then DEFAULT_TIMEZONE; bookingPage is { slug, title, description, location }
+// or null. Falls back to the defaults on errors so that a database hiccup never blocks an email.
+async function getBookingPageContext(adminId, slugId = null) {
+  if (!adminId) {
+    return { adminTimezone: resolveTimezone(), bookingPage: null };
+  }
+
+  try {
+    const [rows] = await db.query(
+      `SELECT a.timezone, a.unique_link_slug, s.timezone AS slug_timezone, s.slug, s.title, s.description, s.location
+      FROM admins a
+      LEFT JOIN slugs s ON s.id = ? AND s.admin_id = a.id
+      WHERE a.id = ?`,
+      [slugId, adminId]
+    );
+    if (rows.length === 0) {
+      return { adminTimezone: resolveTimezone(), bookingPage: null };
+    }
+    const { timezone, unique_link_slug: adminSlug, slug_timezone: slugTimezone, slug, title, description, location } = rows[0];
+    return {
+      adminTimezone: resolveTimezone(slugTimezone, timezone),
+      bookingPage: slug ? { slug, title, description, location, admin_slug: adminSlug } : null,
+    };
+  } catch (error) {
+    console.error('Error loading booking page details, using the defaults:', error);
+    return { adminTimezone: resolveTimezone(), bookingPage: null };
+  }
+}
+
+// Builds the placeholder values for an appointment email.
+function buildAppointmentContext(appointment, options = {}) {
+  const {
+    clientTimezone,
+    adminTimezone = resolveTimezone(),
+    customFields = [],
+    message = null,
+    manageLinks = null,
+    previousDate = null,
+    bookingPage = null,
+    occurrences = [],
+    claimLink = null,
+    claimDeadline = null,
+    approvalLinks = null,
+    approvalDeadline = null,
+    attendees = [],
+  } = options;
+
+  const clientTz = clientTimezone || appointment.client_timezone || adminTimezone;
+
+  // Page details passed in win over any copied onto the appointment object.
+  const page = {
+    slug: appointment.booking_slug,
+    title: appointment.booking_title,
+    description: appointment.booking_description,
+    location: appointment.location,
+    admin_slug: appointment.admin_slug,
+    ...(bookingPage || {}),
+  };
+  const bookingTitle = page.title || page.slug || '';
+
+  let locationHtml = '';
+  if (page.location) {
+    const locationValue = isLinkLocation(page.location)
+      ? `<a href="${escapeHtml(page.location)}">${escapeHtml(page.location)}</a>`
+      : escapeHtml(page.location);
+    locationHtml = `<li><strong>Location:</strong> ${locationValue}</li>`;
+  }
+
+  const custom = {};
+  let customFieldsHtml = '';
+  for (const field of customFields) {
+    custom[field.name] = field.value;
+    customFieldsHtml += `<li><strong>${escapeHtml(field.label)}:</strong> ${escapeHtml(field.value)}</li>`;
+  }
+
+  let manageLinksHtml = '';
+  if (manageLinks) {
+    manageLinksHtml = `
+      <p>Need to make a change?
+        <a href="${escapeHtml(manageLinks.view)}">View your booking</a> ·
+        <a href="${escapeHtml(manageLinks.reschedule)}">Reschedule</a> ·
+        <a href="${escapeHtml(manageLinks.cancel)}">Cancel</a>
+      </p>
+      <p style="font-size: 12px; color: #666;">Keep these links private. Anyone with them can change your booking.</p>`;
+  }
+
+  let seriesScheduleHtml = '';
+  if (occurrences.length > 0) {
+    const items = occurrences
+      .map(o => `<li>${escapeHtml(formatInTimeZone(o.appointment_date, clientTz, DATE_TIME_FORMAT))}</li>`)
+      .join('');
+    seriesScheduleHtml = `<p>This applies to ${occurrences.length} occurrences of a recurring booking (${escapeHtml(clientTz)}):</p><ul>${items}</ul>`;
+  }
+
+  return {
+    app_name: process.env.CLIENT_FACING_APP_NAME,
+    client_name: appointment.client_name,
+    client_email: appointment.client_email,
+    details: appointment.details || 'N/A',
+    booking_page: page.slug || '',
+    booking_title: bookingTitle,
+    booking_description: page.description || '',
+    location: page.location || '',
+    location_item: safeHtml(locationHtml),
+    rebook_link: page.slug && page.admin_slug ? buildBookingPageLink(page.admin_slug, page.slug) : '',
+    description_block: page.description ? safeHtml(`<p>${escapeHtml(page.description)}</p>`) : '',
+    client_timezone: clientTz,
+    admin_timezone: adminTimezone,
+    appointment_time_client_tz: formatInTimeZone(appointment.appointment_date, clientTz, DATE_TIME_FORMAT),
+    appointment_time_admin_tz: formatInTimeZone(appointment.appointment_date, adminTimezone, DATE_TIME_FORMAT),
+    appointment_day: formatInTimeZone(appointment.appointment_date, clientTz, DATE_FORMAT),
+    previous_time_client_tz: previousDate ? formatInTimeZone(previousDate, clientTz, DATE_TIME_FORMAT) : '',
+    previous_time_admin_tz: previousDate ? formatInTimeZone(previousDate, adminTimezone, DATE_TIME_FORMAT) : '',
+    message: message || '',
+    message_block: message ? safeHtml(`<p style="${MESSAGE_BLOCK_STYLE}">${escapeHtml(message)}</p>`) : '',
+    custom_fields: safeHtml(customFieldsHtml),
+    custom: custom,
+    series_schedule: safeHtml(seriesScheduleHtml),
+    attendees: safeHtml(attendees
+      .map(attendee => `<li>${escapeHtml(attendee.client_name)} (${escapeHtml(attendee.client_email)})</li>`)
+      .join('')),
+    manage_link: manageLinks ? manageLinks.view : '',
+    reschedule_link: manageLinks ? manageLinks.reschedule : '',
+    cancel_link: manageLinks ? manageLinks.cancel : '',
+    manage_links: safeHtml(manageLinksHtml),
+    claim_link: claimLink || '',
+    claim_deadline_client_tz: claimDeadline ? formatInTimeZone(claimDeadline, clientTz, DATE_TIME_FORMAT) : '',
+    approve_link: approvalLinks ? approvalLinks.approve : '',
+    decline_link: approvalLinks ? approvalLinks.decline : '',
+    approval_deadline_admin_tz: approvalDeadline ? formatInTimeZone(approvalDeadline, adminTimezone, DATE_TIME_FORMAT) : '',
+  };
+}
+
+// Renders the right template for an appointment email in one step. `template` ({ subject,
+// body_html }) is used instead of the admin's template for `kind` when given.
+async function renderAppointmentEmail(kind, appointment, { template: templateOverride, ...options } = {}) {
+  const template = templateOverride || await getTemplate(kind, appointment.admin_id, appointment.slug_id);
+  const pageContext = await getBookingPageContext(appointment.admin_id, appointment.slug_id);
+  return renderTemplate(template, buildAppointmentContext(appointment, { ...pageContext, ...options }));
+}
+
+module.exports = {
+  TEMPLATE_KINDS,
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  renderTemplate,
+  getTemplate,
+  getAppointmentCustomFields,
+  getBookingPageContext,
+  buildAppointmentContext,
+  renderAppointmentEmail,
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { format, formatInTimeZone } = require('date-fns-tz');
+const { addMinutes } = require('date-fns');
+const { hashToken } = require('./appointmentService');
+const { getSchedulingSettings, getPageTimezone, checkSlotAvailability, lockAdminSchedule } = require('./availabilityService');
+const { sendWaitlistOfferEmail } = require('./emailService');
+
+// How long an offered time is held for a waitlisted client before it passes to the next one.
+const OFFER_HOLD_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 120;
+
+// Builds the client-facing link to view and claim a waitlist offer.
+function buildClaimLink(token) {
+  return `${process.env.FRONTEND_URL}/waitlist/${token}`;
+}
+
+// Offers a time that has just been freed on a booking page (by a cancellation or a move) to
+// the first waiting client it suits: someone waiting for exactly that start, or for any time
+// that day in the page's timezone, whose meeting length still fits. Runs in its own
+// transaction, after the change that freed the time has been committed. If the offer email
+// cannot be queued, the entry goes back to waiting and the time stays free.
+// `freed` is { admin_id, slug_id, appointment_date }. Returns the offered entry id or null.
+async function offerFreedSlot(freed) {
+  if (!freed.slug_id) {
+    return null;
+  }
+
+  const connection = await db.getConnection();
+  let offer = null;
+
+  try {
+    await connection.beginTransaction();
+
+    const page = await getSchedulingSettings(freed.slug_id, connection);
+    if (!page) {
+      await connection.rollback();
+      return null;
+    }
+
+    const start = new Date(freed.appointment_date);
+    const day = formatInTimeZone(start, getPageTimezone(page), 'yyyy-MM-dd');
+
+    // Taken before the waitlist rows, in the same order as a claim, so the two never deadlock.
+    await lockAdminSchedule(connection, page.admin_id);
+
+    // First come, first served. The rows are locked so two freed seats never go to one client.
+    const [entries] = await connection.query(
+      `SELECT * FROM waitlist_entries
+      WHERE slug_id = ? AND status = 'waiting' AND (desired_start = ? OR desired_day = ?)
+      ORDER BY created_at ASC, id ASC
+      FOR UPDATE`,
+      [page.slug_id, format(start, 'yyyy-MM-dd HH:mm:ss'), day]
+    );
+
+    for (const entry of entries) {
+      const end = addMinutes(start, entry.duration_minutes);
+      const slotError = await checkSlotAvailability(connection, page, page.admin_id, start, end);
+      if (slotError) {
+        continue;
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = addMinutes(new Date(), OFFER_HOLD_MINUTES);
+      await connection.query(
+        `UPDATE waitlist_entries
+        SET status = 'offered', offered_start = ?, offered_end = ?, offer_expires_at = ?, claim_token_hash = ?
+        WHERE id = ?`,
+        [format(start, 'yyyy-MM-dd HH:mm:ss'), format(end, 'yyyy-MM-dd HH:mm:ss'), format(expiresAt, 'yyyy-MM-dd HH:mm:ss'), hashToken(token), entry.id]
+      );
+
+      offer = { entry: { ...entry, appointment_date: start, end_date: end }, token, expiresAt };
+      break;
+    }
+
+    await connection.commit();
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+
+  if (!offer) {
+    return null;
+  }
+
+  const sent = await sendWaitlistOfferEmail(offer.entry, buildClaimLink(offer.token), offer.expiresAt);
+  if (!sent) {
+    // The client would never hear of the offer, so it must not hold the time for them.
+    await db.query(
+      `UPDATE waitlist_entries
+      SET status = 'waiting', offered_start = NULL, offered_end = NULL, offer_expires_at = NULL, claim_token_hash = NULL
+      WHERE id = ? AND status = 'offered' AND claim_token_hash = ?`,
+      [offer.entry.id, hashToken(offer.token)]
+    );
+    return null;
+  }
+  return offer.entry.id;
+}
+
+// Offers each freed appointment's time to the waitlist, in order. Meant to be called without
+// awaiting once a cancellation or move is committed; errors are logged, never thrown.
+function offerFreedSlots(appointments) {
+  return [].concat(appointments)
+    .reduce((previous, appointment) => previous.then(() => offerFreedSlot(appointment)), Promise.resolve())
+    .catch(error => console.error('Error offering freed time to the waitlist:', error));
+}
+
+// Expires the offers whose claim window has passed and passes each held time on to the next
+// client waiting for it. Waiting entries for times that have already started are closed too.
+async function expireWaitlistOffers() {
+  const [expired] = await db.query(
+    "SELECT id, admin_id, slug_id, offered_start FROM waitlist_entries WHERE status = 'offered' AND offer_expires_at <= UTC_TIMESTAMP()"
+  );
+
+  for (const entry of expired) {
+    // Only the run that flips the status passes the time on.
+    const [result] = await db.query(
+      "UPDATE waitlist_entries SET status = 'expired' WHERE id = ? AND status = 'offered'",
+      [entry.id]
+    );
+    if (result.affectedRows > 0) {
+      await offerFreedSlot({ admin_id: entry.admin_id, slug_id: entry.slug_id, appointment_date: entry.offered_start });
+    }
+  }
+
+  const [closed] = await db.query(
+    `UPDATE waitlist_entries SET status = 'expired'
+    WHERE status = 'waiting' AND (desired_start <= UTC_TIMESTAMP() OR desired_day < UTC_DATE() - INTERVAL 1 DAY)`
+  );
+
+  return { expiredOffers: expired.length, closedEntries: closed.affectedRows };
+}
+
+module.exports = {
+  OFFER_HOLD_MINUTES,
+  buildClaimLink,
+  offerFreedSlot,
+  offerFreedSlots,
+  expireWaitlistOffers,
+};
@@ -0,0 +1,170 @@
+// Helpers for building email HTML safely from user-supplied values.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Marks a string as already-safe HTML so the template renderer inserts it unescaped.
+// Only wrap markup that was built from escaped values.
+class SafeHtml {
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+function safeHtml(html) {
+  return new SafeHtml(html);
+}
+
+function escapeHtml(value) {
+  if (value instanceof SafeHtml) {
+    return value.html;
+  }
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Attributes whose value is a URL, and the URL schemes they may use. Any other scheme
+// (javascript:, vbscript:, data:, ...) is replaced with "#".
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'background', 'poster', 'xlink:href'];
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// One attribute of a start tag: its name and an optional double-quoted, single-quoted or
+// unquoted value. Runs of separators in between are matched on their own and skipped.
+const ATTRIBUTE_PATTERN = /([^\s\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S*)))?|[\s\/=]+/g;
+
+// Finds the '>' that ends a start tag, skipping quoted attribute values as browsers do.
+// `index` is just past the tag name. Returns -1 if the tag is never closed.
+function findTagEnd(html, index) {
+  let i = index;
+  while (i < html.length) {
+    if (html[i] === '>') {
+      return i;
+    }
+    if (html[i] !== '=') {
+      i++;
+      continue;
+    }
+    i++;
+    while (i < html.length && /\s/.test(html[i])) {
+      i++;
+    }
+    if (html[i] === '"' || html[i] === "'") {
+      const close = html.indexOf(html[i], i + 1);
+      if (close === -1) {
+        return -1;
+      }
+      i = close + 1;
+    }
+  }
+  return -1;
+}
+
+// True if a URL attribute value is relative or uses one of SAFE_URL_SCHEMES. Character
+// references and the whitespace browsers ignore are taken out first, so "jav&#x09;ascript:"
+// is caught too.
+function isSafeUrl(value) {
+  const url = value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+    .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(Number(decimal) % 0x110000))
+    .replace(/&colon;/gi, ':')
+    .replace(/&(tab|newline);/gi, '')
+    .replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+// Rebuilds the attributes of a start tag without event handlers (on...) and with unsafe URLs
+// replaced. Every value is written back double-quoted, however it was quoted before.
+function sanitizeAttributes(source) {
+  let attributes = '';
+  for (const [match, name, ...values] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    if (!name || /^on/i.test(name) || /["'<]/.test(name)) {
+      continue;
+    }
+    let value = values.find(v => v !== undefined);
+    if (value === undefined) {
+      attributes += ` ${name}`;
+      continue;
+    }
+    if (URL_ATTRIBUTES.includes(name.toLowerCase()) && !isSafeUrl(value)) {
+      value = '#';
+    }
+    attributes += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+  }
+  return attributes;
+}
+
+// Strips the parts of admin-authored HTML that have no place in an email and could be
+// abused: scripts, embedded frames/objects, inline event handlers and javascript: URLs.
+// The attributes of every remaining tag are parsed and rebuilt, so unquoted or encoded values
+// are handled the same as quoted ones. A tag left open at the end is dropped, as browsers do.
+function sanitizeHtml(html) {
+  const source = String(html)
+    .replace(/<\s*(script|style|iframe|object|embed|form)\b[\s\S]*?<\s*\/\s*\1\s*>/gi, '')
+    .replace(/<\s*(script|style|iframe|object|embed|form|input|button|meta|link|base)\b[^>]*>/gi, '');
+
+  const tagPattern = /<([a-z][^\s\/>]*)/gi;
+  let result = '';
+  let index = 0;
+  let tag;
+  while ((tag = tagPattern.exec(source)) !== null) {
+    const attributesStart = tag.index + tag[0].length;
+    const end = findTagEnd(source, attributesStart);
+    if (end === -1) {
+      return result + source.slice(index, tag.index);
+    }
+    const selfClosing = /\/\s*$/.test(source.slice(attributesStart, end)) ? ' /' : '';
+    result += `${source.slice(index, tag.index)}<${tag[1]}${sanitizeAttributes(source.slice(attributesStart, end))}${selfClosing}>`;
+    index = end + 1;
+    tagPattern.lastIndex = index;
+  }
+  return result + source.slice(index);
+}
+
+const ENTITY_DECODES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' ',
+};
+
+// Produces a readable plain-text version of an email body for the text/plain part.
+function htmlToText(html) {
+  return String(html)
+    .replace(/<\s*(script|style)\b[\s\S]*?<\s*\/\s*\1\s*>/gi, '')
+    .replace(/<a\b[^>]*href\s*=\s*("|')(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi, (match, quote, href, text) => {
+      const label = text.replace(/<[^>]+>/g, '').trim();
+      return label && label !== href ? `${label} (${href})` : href;
+    })
+    .replace(/<\s*br\s*\/?>/gi, '\n')
+    .replace(/\s*<\s*li\b[^>]*>/gi, '\n- ')
+    .replace(/<\s*\/\s*(p|div|h[1-6]|ul|ol|tr|table)\s*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|nbsp|#39);/g, entity => ENTITY_DECODES[entity])
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  SafeHtml,
+  safeHtml,
+  escapeHtml,
+  sanitizeHtml,
+  htmlToText,
+};
@@ -0,0 +1,25 @@
+// Returns true if the given string is a valid IANA timezone name (e.g. "Africa/Lagos").
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns the first valid timezone from the candidates, most specific first
+// (e.g. booking page, then admin), falling back to DEFAULT_TIMEZONE and finally UTC.
+function resolveTimezone(...candidates) {
+  for (const timezone of [...candidates, process.env.DEFAULT_TIMEZONE]) {
+    if (isValidTimezone(timezone)) {
+      return timezone;
+    }
+  }
+  return 'UTC';
+}
+
+module.exports = { isValidTimezone, resolveTimezone };